@@ -0,0 +1,127 @@
+/**
+ * Benchmark of the aggregation expression generated by extractSchema(), timing it against sets of
+ * synthetic documents of different shapes. Load this file and then, for each version of the
+ * library to compare, load that version and call buildBenchmarkPipelines(), before passing all the
+ * pipelines to runBenchmark() (see benchmark.sh, which compares the current version with a
+ * baseline version from git).
+ */
+
+
+/**
+ * Get the sets of synthetic documents to benchmark against, keyed by a description of their shape
+ */
+function getBenchmarkScenarios(docsPerScenario=200) {
+  const repeat = generateDocument => Array.from({"length": docsPerScenario}, (_, docNumber) => ({"_id": docNumber, ...generateDocument()}));
+
+  return {
+    "flat (1 field)": repeat(() => generateWideBenchmarkDocument(0, 1)),
+    "flat (10 fields)": repeat(() => generateWideBenchmarkDocument(0, 10)),
+    "wide (300 sub-docs)": repeat(() => generateWideBenchmarkDocument(300, 3)),
+    "deep (90 levels)": repeat(() => generateDeepBenchmarkDocument(90)),
+    "tree (4 levels of 4)": repeat(() => generateTreeBenchmarkDocument(4, 4)),
+  };
+}
+
+
+/**
+ * Generate a document with 'fieldCount' scalar fields and an array of 'width' sub-documents
+ */
+function generateWideBenchmarkDocument(width, fieldCount) {
+  const doc = generateBenchmarkFields(fieldCount);
+
+  if (width > 0) {
+    doc.items = Array.from({"length": width}, () => generateBenchmarkFields(fieldCount));
+  }
+
+  return doc;
+}
+
+
+/**
+ * Generate a document with a chain of sub-documents nested 'depth' levels deep
+ */
+function generateDeepBenchmarkDocument(depth) {
+  const doc = generateBenchmarkFields(3);
+  let subdoc = doc;
+
+  for (let level = 0; level < depth; level++) {
+    subdoc.child = generateBenchmarkFields(3);
+    subdoc = subdoc.child;
+  }
+
+  return doc;
+}
+
+
+/**
+ * Generate a document where each sub-document has 'fanout' child sub-documents, 'depth' levels deep
+ */
+function generateTreeBenchmarkDocument(depth, fanout) {
+  const doc = generateBenchmarkFields(3);
+
+  if (depth > 0) {
+    for (let childNumber = 0; childNumber < fanout; childNumber++) {
+      doc[`child${childNumber}`] = generateTreeBenchmarkDocument(depth - 1, fanout);
+    }
+  }
+
+  return doc;
+}
+
+
+/**
+ * Generate an object with 'fieldCount' scalar fields of a variety of types
+ */
+function generateBenchmarkFields(fieldCount) {
+  const values = [42, "text", 3.14, true, null, new Date(0)];
+  const fields = {};
+
+  for (let fieldNumber = 0; fieldNumber < fieldCount; fieldNumber++) {
+    fields[`field${fieldNumber}`] = values[fieldNumber % values.length];
+  }
+
+  return fields;
+}
+
+
+/**
+ * Build the pipeline to time using the version of extractSchema() currently loaded, which only
+ * counts the elements extracted, so the time taken to return the results isn't included
+ */
+function buildBenchmarkPipelines(maxElements=1000) {
+  return [
+    {"$replaceWith": extractSchema(maxElements)},
+    {"$group": {"_id": null, "elements": {"$sum": {"$size": "$content"}}}},
+  ];
+}
+
+
+/**
+ * Time each of the given pipelines (keyed by a label for the version of the library which built
+ * them) against each scenario's documents, printing the average time of each and the number of
+ * elements extracted (which should be the same for every version)
+ */
+function runBenchmark(pipelinesByVersion, {runs=3, docsPerScenario=200, collectionName="benchmark_extract_schema"} = {}) {
+  const coll = db.getCollection(collectionName);
+  print(`${"SCENARIO".padEnd(24)}${"VERSION".padEnd(32)}${"AVG MILLIS".padStart(12)}${"ELEMENTS".padStart(12)}`);
+
+  for (const [scenario, docs] of Object.entries(getBenchmarkScenarios(docsPerScenario))) {
+    coll.drop();
+    coll.insertMany(docs);
+
+    for (const [version, pipeline] of Object.entries(pipelinesByVersion)) {
+      let totalMillis = 0;
+      let elements = 0;
+
+      for (let run = 0; run < runs; run++) {
+        const start = Date.now();
+        elements = coll.aggregate(pipeline).toArray()[0].elements;
+        totalMillis += Date.now() - start;
+      }
+
+      print(`${scenario.padEnd(24)}${version.padEnd(32)}${String(Math.round(totalMillis / runs)).padStart(12)}${String(elements).padStart(12)}`);
+    }
+  }
+
+  coll.drop();
+}
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * Command line tool to run the schema analysis pipeline (see buildSchemaAnalysisPipeline()) against
+ * a collection and write the summarised schema as JSON, CSV or Markdown, as a Mermaid, Graphviz DOT
+ * or HTML tree, or as the output of one of the schema generators. The pipeline is run by mongosh,
+ * which must be on the PATH, so no npm packages need to be installed. Run with '--help' to list the
+ * options.
+ *
+ * Exits with code 0 on success, 1 if the analysis couldn't be run, 2 if any documents were
+ * truncated (see extractSchema()) and 3 if the schema has drifted from the baseline summary
+ * passed with '--baseline' (see diffSchemas()), where drift takes precedence over truncation.
+ * Changes to a field's min/max values only count as drift with '--range-changes', as they vary
+ * from one random sample of a collection to the next even when its documents haven't changed.
+ */
+const fs = require("fs");
+const path = require("path");
+const {spawnSync} = require("child_process");
+const {parseArgs} = require("util");
+const {
+  generateJsonSchemaValidator, generateTypeScriptInterfaces, generateMongooseSchema,
+  formatSchemaSummaryAsCsv, formatSchemaSummaryAsMarkdown, formatSchemaSummaryAsMermaid,
+  formatSchemaSummaryAsDot, formatSchemaSummaryAsHtml, diffSchemas,
+} = require("./mongo-agg-extract-schema.js");
+
+
+/**
+ * Get the text listing the tool's options, printed for '--help'
+ */
+function getCliUsage() {
+  return [
+    "Usage: node mongo-agg-extract-schema-cli.js --collection <name> [options]",
+    "",
+    "Connection:",
+    "  --uri <uri>                   MongoDB connection string (default is",
+    "                                $URL or mongodb://localhost:27017/test)",
+    "  --db <name>                   Database holding the collection",
+    "                                (default is the database in the URI)",
+    "  --collection <name>           Collection to analyse (required)",
+    "",
+    "Analysis (see buildSchemaAnalysisPipeline()):",
+    "  --sample-size <number>        Documents to randomly sample (0 to inspect every document)",
+    "  --filter <ejson>              Query restricting which documents are",
+    "                                sampled, e.g. '{\"status\": \"active\"}'",
+    "  --max-elements <number>       Maximum sub-documents to flatten per document",
+    "  --stats <names>               Comma separated statistics to",
+    "                                compute, e.g. min,max,topvalues",
+    "  --discriminators <paths>      Comma separated fields saying",
+    "                                which variant each document holds",
+    "  --dynamic-keys                Collapse the fields of map-like",
+    "                                sub-documents into '<dynamickey>'",
+    "  --include-paths <patterns>    Comma separated paths of the sub-documents to descend into",
+    "  --exclude-paths <patterns>    Comma separated paths of the",
+    "                                sub-documents not to descend into",
+    "  --max-depth <number>          Maximum depth of sub-document to descend into",
+    "  --server-version <version>    Version of the MongoDB server, e.g. 4.4",
+    "  --sensitive-data <mode>       Flag fields likely to hold personal data, either leaving",
+    "                                out their values (classify) or masking them (redact)",
+    "  --options <json>              Any other analysis settings, e.g. '{\"maxTopValues\": 10}'",
+    "",
+    "Output:",
+    "  --format <format>             json (default), csv, markdown, mermaid, dot,",
+    "                                html, jsonschema, typescript or mongoose",
+    "  --output <file>               File to write to (default is stdout)",
+    "  --required-threshold <number> Presence percentage for the generators",
+    "                                to treat a field as required",
+    "  --strict                      For jsonschema, reject fields not seen in the sample",
+    "  --name <name>                 For typescript, the root interface name, for mongoose,",
+    "                                the schema variable name, for html, the page title",
+    "",
+    "Drift detection (see diffSchemas()):",
+    "  --baseline <file>             Summary previously written with",
+    "                                '--format json' to compare with",
+    "  --type-share-threshold <number>  Percentage points a type's share",
+    "                                   must move by to count as drift",
+    "  --presence-threshold <number>    Percentage points a field's presence",
+    "                                   must move by to count as drift",
+    "  --range-changes               Also count changes to a type's min/max values",
+    "                                as drift (best with '--sample-size 0')",
+    "",
+    "Exit codes: 0 success, 1 error, 2 documents were truncated, 3 drift from the baseline",
+    "",
+  ].join("\n");
+}
+
+
+/**
+ * Parse the tool's command line arguments into the settings for each part of the run, only
+ * including the analysis settings which are given, so the defaults of
+ * buildSchemaAnalysisPipeline() apply to the rest
+ */
+function parseCliArguments(args) {
+  const {values} = parseArgs({args, "strict": true, "options": {
+    "uri": {"type": "string", "default": process.env.URL || "mongodb://localhost:27017/test"},
+    "db": {"type": "string"},
+    "collection": {"type": "string"},
+    "sample-size": {"type": "string"},
+    "filter": {"type": "string"},
+    "max-elements": {"type": "string"},
+    "stats": {"type": "string"},
+    "discriminators": {"type": "string"},
+    "dynamic-keys": {"type": "boolean"},
+    "include-paths": {"type": "string"},
+    "exclude-paths": {"type": "string"},
+    "max-depth": {"type": "string"},
+    "server-version": {"type": "string"},
+    "sensitive-data": {"type": "string"},
+    "options": {"type": "string"},
+    "format": {"type": "string", "default": "json"},
+    "output": {"type": "string"},
+    "required-threshold": {"type": "string"},
+    "strict": {"type": "boolean"},
+    "name": {"type": "string"},
+    "baseline": {"type": "string"},
+    "type-share-threshold": {"type": "string"},
+    "presence-threshold": {"type": "string"},
+    "range-changes": {"type": "boolean"},
+    "help": {"type": "boolean", "short": "h"},
+  }});
+
+  const formats = [
+    "json", "csv", "markdown", "mermaid", "dot", "html", "jsonschema", "typescript", "mongoose",
+  ];
+  const sensitiveData = values["sensitive-data"];
+
+  if (values.help) {
+    return {"help": true};
+  } else if (!values.collection) {
+    throw "parseCliArguments - The '--collection' option must be provided";
+  } else if (!formats.includes(values.format)) {
+    throw `parseCliArguments - Unknown output format '${values.format}' for the '--format' option`;
+  } else if ((sensitiveData !== undefined) && !["classify", "redact"].includes(sensitiveData)) {
+    throw `parseCliArguments - Unknown mode '${sensitiveData}' for the '--sensitive-data' ` +
+          "option, which must be 'classify' or 'redact'";
+  }
+
+  const parseJson = (name, text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw `parseCliArguments - The '--${name}' option isn't valid JSON: ${error.message}`;
+    }
+  };
+
+  const parseNumber = (name, text) => {
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+      throw `parseCliArguments - The '--${name}' option must be a number, not '${text}'`;
+    }
+
+    return Number(text);
+  };
+
+  const parseList = text =>
+    text.split(",").map(item => item.trim()).filter(item => item.length > 0);
+  const given = (name, parse) =>
+    (values[name] !== undefined) ? parse(name, values[name]) : undefined;
+  const withoutUndefined = settings =>
+    Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+
+  return {
+    "help": false,
+    "uri": values.uri,
+    "db": values.db || null,
+    "collection": values.collection,
+    "analysisOptions": withoutUndefined({
+      ...(values.options ? parseJson("options", values.options) : {}),
+      // The filter is parsed into EJSON by mongosh, so its type wrappers (e.g. {"$date": ...})
+      // become BSON values there
+      "filter": given("filter", parseJson),
+      "sampleSize": given("sample-size", parseNumber),
+      "maxElements": given("max-elements", parseNumber),
+      "stats": given("stats", (name, text) => parseList(text)),
+      "discriminators": given("discriminators", (name, text) => parseList(text)),
+      "dynamicKeys": values["dynamic-keys"],
+      "includePaths": given("include-paths", (name, text) => parseList(text)),
+      "excludePaths": given("exclude-paths", (name, text) => parseList(text)),
+      "maxDepth": given("max-depth", parseNumber),
+      "serverVersion": values["server-version"],
+      "sensitiveData": given("sensitive-data", (name, text) => ({"redact": text === "redact"})),
+    }),
+    "format": values.format,
+    "output": values.output || null,
+    "generatorOptions": withoutUndefined({
+      "requiredThreshold": given("required-threshold", parseNumber),
+      "strict": values.strict,
+      "rootName": (values.format === "typescript") ? values.name : undefined,
+      "schemaName": (values.format === "mongoose") ? values.name : undefined,
+      "title": (values.format === "html") ? values.name : undefined,
+    }),
+    "baseline": values.baseline || null,
+    "diffOptions": withoutUndefined({
+      "typeShareThreshold": given("type-share-threshold", parseNumber),
+      "presenceThreshold": given("presence-threshold", parseNumber),
+    }),
+    "rangeChanges": Boolean(values["range-changes"]),
+  };
+}
+
+
+/**
+ * Run the schema analysis pipeline against a collection using mongosh, returning the summarised
+ * schema as relaxed EJSON (e.g. with dates as {"$date": ...}), which the client-side functions of
+ * the library understand and which can be saved as a baseline for a later comparison
+ */
+function runSchemaAnalysisWithMongosh(uri, dbName, collectionName, analysisOptions) {
+  const script = `
+    load(${JSON.stringify(path.join(__dirname, "mongo-agg-extract-schema.js"))});
+    const targetDb = ${JSON.stringify(dbName)} ? db.getSiblingDB(${JSON.stringify(dbName)}) : db;
+    const options = EJSON.parse(${JSON.stringify(JSON.stringify(analysisOptions))});
+    const collection = targetDb.getCollection(${JSON.stringify(collectionName)});
+    const pipeline = buildSchemaAnalysisPipeline(options);
+    const summary = collection.aggregate(pipeline, {"allowDiskUse": true}).toArray();
+    print(EJSON.stringify(summary));
+  `;
+  const result = spawnSync("mongosh", [uri, "--quiet", "--eval", script],
+                           {"encoding": "utf8", "maxBuffer": 1024 * 1024 * 1024});
+
+  if (result.error) {
+    throw "runSchemaAnalysisWithMongosh - Unable to run mongosh (check it's installed and on the " +
+          `PATH): ${result.error.message}`;
+  } else if (result.status !== 0) {
+    throw "runSchemaAnalysisWithMongosh - The analysis failed with mongosh exit code " +
+          `${result.status}: ${result.stderr.trim() || result.stdout.trim()}`;
+  }
+
+  // The summary is printed as the last line, after anything mongosh itself may have printed
+  const lines = result.stdout.split(/\r?\n/).filter(line => line.trim().length > 0);
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+
+/**
+ * Format the summarised schema as the text of the requested output format
+ */
+function formatSchemaSummary(summary, format, generatorOptions) {
+  switch (format) {
+    case "csv":
+      return formatSchemaSummaryAsCsv(summary);
+    case "markdown":
+      return formatSchemaSummaryAsMarkdown(summary);
+    case "mermaid":
+      return formatSchemaSummaryAsMermaid(summary);
+    case "dot":
+      return formatSchemaSummaryAsDot(summary);
+    case "html":
+      return formatSchemaSummaryAsHtml(summary, generatorOptions);
+    case "jsonschema":
+      return `${JSON.stringify(generateJsonSchemaValidator(summary, generatorOptions), null, 2)}\n`;
+    case "typescript":
+      return generateTypeScriptInterfaces(summary, generatorOptions);
+    case "mongoose":
+      return generateMongooseSchema(summary, generatorOptions);
+    default:
+      return `${JSON.stringify(summary, null, 2)}\n`;
+  }
+}
+
+
+/**
+ * Get the differences from diffSchemas() which count as drift, leaving out the changes to min/max
+ * values (and any field with no other difference) unless they've been asked for
+ */
+function getDriftDifferences(differences, rangeChanges) {
+  if (rangeChanges) {
+    return differences;
+  }
+
+  return differences
+    .map(difference => ({...difference, "rangechanges": []}))
+    .filter(difference =>
+      (difference.change !== "changed") ||
+      (difference.addedtypes.length > 0) ||
+      (difference.removedtypes.length > 0) ||
+      (difference.typeshifts.length > 0) ||
+      difference.presenceshift
+    );
+}
+
+
+/**
+ * Run the tool with the given command line arguments, writing the report and then any warnings
+ * about truncated documents or drift from the baseline (to stderr), returning the exit code
+ */
+function runCli(args) {
+  const settings = parseCliArguments(args);
+
+  if (settings.help) {
+    process.stdout.write(getCliUsage());
+    return 0;
+  }
+
+  const summary = runSchemaAnalysisWithMongosh(settings.uri, settings.db, settings.collection,
+                                               settings.analysisOptions);
+  const report = formatSchemaSummary(summary, settings.format, settings.generatorOptions);
+  let exitCode = 0;
+
+  if (settings.output) {
+    fs.writeFileSync(settings.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  const truncation = summary.find(fieldSummary => "truncateddocuments" in fieldSummary);
+
+  if (truncation) {
+    console.error(`WARNING: ${truncation.WARNING} (${truncation.truncateddocuments} truncated ` +
+                  "documents, '--max-elements' needs to be at least " +
+                  `${truncation.suggestedmaxelements})`);
+    exitCode = 2;
+  }
+
+  if (settings.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(settings.baseline, "utf8"));
+    const differences = getDriftDifferences(diffSchemas(baseline, summary, settings.diffOptions),
+                                            settings.rangeChanges);
+
+    if (differences.length > 0) {
+      console.error(`DRIFT: ${differences.length} field(s) differ from the baseline in ` +
+                    `'${settings.baseline}'`);
+      differences.forEach(difference => console.error(JSON.stringify(difference)));
+      exitCode = 3;
+    }
+  }
+
+  return exitCode;
+}
+
+
+if (require.main === module) {
+  try {
+    process.exitCode = runCli(process.argv.slice(2));
+  } catch (error) {
+    console.error(`ERROR: ${error}`);
+    process.exitCode = 1;
+  }
+}
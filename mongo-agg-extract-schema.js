@@ -5,633 +5,7863 @@
  * hierarchy of sub-documents. It descends through each document's nested fields collecting each
  * sub-document and associated metadata into a flattened array of elements in the result.
  * 
- * The function only supports MongoDB version 5+ due to the use of the new $getField operator.
- * However, for earlier versions of MongoDB you can replace $getField in this function's code with
- * @asya999's getField() function which performs the equivalent, at:
- * https://github.com/asya999/bits-n-pieces/blob/master/scripts/getField.js
+ * By default, the generated expression uses the $getField operator which requires MongoDB version
+ * 5+. For earlier versions of MongoDB (4.4+), set 'serverVersion' to the version of the target
+ * server and the generated expression will use equivalent expressions which avoid $getField.
  *
  * @param {Number} [maxElements=500]   [OPTIONAL] The maximum number of sub-documents to flatten
- *                                     per document (the resulting aggregation expression issues a
- *                                     warning in the aggregation's output if this number isn't
- *                                     sufficient to allow a document's hierarchy to be fully
- *                                     descended)
+ *                                     per document (if this number isn't sufficient to allow a
+ *                                     document's hierarchy to be fully descended, the result
+ *                                     includes a 'truncation' field recording a warning, how many
+ *                                     queued sub-documents were left unprocessed, their paths,
+ *                                     the depth reached and the value of 'maxElements' which
+ *                                     would have been required)
+ * @param {Object} [options]          [OPTIONAL] The settings to control the extraction
+ * @param {String} [options.serverVersion="5.0"] [OPTIONAL] The version of the MongoDB server the
+ *                                     expression will run on, e.g. "4.4" or db.version()
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Set to true (or to an object
+ *                                     overriding any of 'minKeys', 'patterns' and 'maxValues', see
+ *                                     getDynamicKeysSettings()) to detect map-like sub-documents
+ *                                     whose keys are data (e.g. dates or ids) rather than field
+ *                                     names, and report all their fields under a single
+ *                                     '<dynamickey>' field, keeping each real key alongside
+ * @param {Array}  [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                     descend into, matched against each sub-document's
+ *                                     'subdocpath', where each pattern also matches the paths
+ *                                     below it and a '*' matches any characters within one path
+ *                                     segment, e.g. ["customer.address", "orders.*"] (the fields
+ *                                     of the sub-documents on the way to an included path are
+ *                                     still captured, but other sub-documents aren't descended)
+ * @param {Array}  [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                     to descend into, using the same matching as 'includePaths',
+ *                                     e.g. ["audit", "payloads.*.raw"] (the field holding each
+ *                                     excluded sub-document is still captured with its type)
+ * @param {Number} [options.maxDepth=100] [OPTIONAL] The maximum depth of sub-document to descend
+ *                                     into, where the root document is at depth 0 (the fields of
+ *                                     the sub-documents at the maximum depth are still captured
+ *                                     with their types, but no deeper)
  * @return {Object}                    The generated MongoDB Aggregation JSON expression object
  *                                     which can be used by $set, $project, $replaceWith or other
  *                                     stage/operator in an aggregation pipeline, to construct the
  *                                     flattened array representation of a document's schema
  */
-function extractSchema(maxElements=500) {
+function extractSchema(maxElements=500, {serverVersion="5.0", dynamicKeys=null, includePaths=null, excludePaths=null, maxDepth=100} = {}) {
+  const settings = getTraversalSettings({serverVersion, dynamicKeys, includePaths, excludePaths, maxDepth});
+
   return {
-    // Loop an abitrary number of times, hoping that there's enough iterations to traverse the document's full hierarchy
-    "$reduce": {        
-      "input": {
-        // Add buffer of an additional 1 item to be able to optionally provide an 'overrun' warning at the end of result array, if needed
-        "$range": [0, {"$add": [maxElements, 1]}]
-       },      
-      "initialValue": {
-        // Final result array to accumulate
-        "content": [],        
-        // Queue array of sub-docs still to be inspected
-        "objectsToProcessQueue": [{"depth": 0, "index": "0", "subdocpath": "", "subdoc": "$$ROOT"}],        
-      },      
-      "in": {       
-        // Add current sub-doc's metadata to result array 
-        "content": captureCurrentObjectSchema("$$value.content", "$$value.objectsToProcessQueue", "$$this", maxElements),        
-        // Add child objects of current sub-doc to the queue of array of items to be inspected later on (and remove the sub-doc just inspected)
-        "objectsToProcessQueue": addChildrenOfCurrentObjectToQueue("$$value.objectsToProcessQueue"),
-      }          
+    "$let": {
+      "vars": {
+        "schema": {
+          // Loop once per level of nesting, inspecting all the queued sub-docs at the same level together, so the accumulated arrays are only
+          // copied once per level rather than once per sub-doc (once the queue is empty or 'maxElements' is reached, the remaining iterations do nothing)
+          "$reduce": {        
+            "input": {"$range": [0, buildMaxNestingLevelsExpression("$$ROOT", settings)]},
+            "initialValue": {
+              // Final result array to accumulate
+              "content": [],        
+              // Queue array of sub-docs still to be inspected
+              "objectsToProcessQueue": [{"depth": 0, "index": "0", "subdocpath": "", "subdoc": "$$ROOT"}],        
+            },      
+            "in": processNextLevelOfQueue("$$value.content", "$$value.objectsToProcessQueue", maxElements, settings),
+          }
+        },
+      },
+      "in": {
+        "content": "$$schema.content",
+        "objectsToProcessQueue": "$$schema.objectsToProcessQueue",
+        // If the loop ended before the queue was emptied, record what was left out
+        "truncation": {"$cond": [
+          {"$gt": [{"$size": "$$schema.objectsToProcessQueue"}, 0]},
+          buildTruncationRecord("$$schema.content", "$$schema.objectsToProcessQueue", maxElements, settings),
+          "$$REMOVE",
+        ]},
+      }
     }
   };
 }
 
 
-///////////////////////////////////////////////////////////////////////////////////////////////////
-/////////////////////////////////////// SUPPORTING FUNCTIONS //////////////////////////////////////
-///////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * Macro to generate a complete MongoDB Aggregation pipeline to sample a collection's documents,
+ * extract the schema of each sampled document (using extractSchema()) and then summarise the
+ * results into one element per unique sub-document path and field name, listing each data type
+ * seen for the field, how many times it was seen and any requested statistics for it.
+ *
+ * @param {Object} [options]                 [OPTIONAL] The settings to control the pipeline
+ * @param {Number} [options.sampleSize=10000] [OPTIONAL] The number of documents to randomly sample
+ *                                           from the collection (set to null or 0 to inspect
+ *                                           every document rather than a random sample)
+ * @param {Object} [options.filter=null]     [OPTIONAL] A query to include as a $match stage at
+ *                                           the start of the pipeline to restrict which documents
+ *                                           are candidates for sampling
+ * @param {Number} [options.maxElements=500] [OPTIONAL] The maximum number of sub-documents to
+ *                                           flatten per document (see extractSchema())
+ * @param {String} [options.serverVersion="5.0"] [OPTIONAL] The version of the MongoDB server the
+ *                                           pipeline will run on (see extractSchema())
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Whether and how to collapse the
+ *                                           fields of map-like sub-documents into a single
+ *                                           '<dynamickey>' field (see extractSchema())
+ * @param {Array}  [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                           descend into (see extractSchema())
+ * @param {Array}  [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                           to descend into (see extractSchema())
+ * @param {Number} [options.maxDepth=100]    [OPTIONAL] The maximum depth of sub-document to
+ *                                           descend into (see extractSchema())
+ * @param {Array}  [options.stats=["min","max","arraystats"]] [OPTIONAL] The names of the
+ *                                           statistics to compute for each data type of each
+ *                                           field, in addition to the count (see
+ *                                           getSchemaSummaryStats() for the names supported)
+ * @param {Number} [options.maxTopValues=5]  [OPTIONAL] For the 'topvalues' stat, the number of the
+ *                                           most common values to list for each data type of
+ *                                           each field
+ * @param {Number} [options.maxEnumValues=10] [OPTIONAL] For the 'topvalues' stat, the most
+ *                                           distinct values a data type of a field can have for
+ *                                           it to be flagged as an enum candidate
+ * @param {Object} [options.stringPatterns={}] [OPTIONAL] For the 'stringsubtypes' stat, extra
+ *                                           named patterns to classify string values against
+ *                                           (see getStringSubtypePatterns())
+ * @param {Array}  [options.discriminators=null] [OPTIONAL] The dot-separated paths of fields
+ *                                           whose values say which variant of entity each
+ *                                           document holds (e.g. ["type"]), to also summarise
+ *                                           the fields of each variant separately
+ * @param {Object|Boolean} [options.sensitiveData=null] [OPTIONAL] Whether and how to flag the
+ *                                           fields likely to hold personal data (emails, phone
+ *                                           numbers, card numbers, national ids, IP addresses and
+ *                                           people's names), judged by their names and their
+ *                                           string and number values (see
+ *                                           getSensitiveDataCategories()), adding a
+ *                                           'sensitivedata' field to each flagged field's summary
+ *                                           giving the 'category', the 'confidence' score
+ *                                           (0-100), whether the field's name suggests it
+ *                                           ('namematch') and the percentage of its values which
+ *                                           look like it ('valueshare'). The 'min', 'max' and
+ *                                           'topvalues' stats of a flagged field, and the
+ *                                           'samplekeys' of a '<dynamickey>' field with any key
+ *                                           looking like personal data, are left out, so they are
+ *                                           never output. Set to true, or to an object with
+ *                                           'minConfidence' (the score needed to flag a field,
+ *                                           default is 40, which a matching name reaches alone)
+ *                                           and 'redact' (set to true to output masked forms of
+ *                                           the values and keys instead, e.g.
+ *                                           '*****@*******.***', for a field with any values
+ *                                           looking like its category, default is false)
+ * @param {Object} [options.snapshot=null]   [OPTIONAL] To keep a history of the schema, the
+ *                                           settings to $merge the summary into a snapshots
+ *                                           collection rather than output it, containing 'into'
+ *                                           (the snapshots collection's name, or {db, coll}),
+ *                                           'source' (the name of the collection analysed) and
+ *                                           optionally 'runAt' (the run's timestamp, default is
+ *                                           the time the pipeline runs), where each field's
+ *                                           summary is keyed by source, run timestamp and path
+ *                                           (see buildSchemaHistoryPipeline())
+ * @return {Array}                           The generated MongoDB Aggregation pipeline, as an
+ *                                           array of stages, ready to be passed to aggregate()
+ */
+function buildSchemaAnalysisPipeline({sampleSize=10000, filter=null, maxElements=500, stats=["min", "max", "arraystats"], maxTopValues=5, maxEnumValues=10, stringPatterns={}, discriminators=null, sensitiveData=null, snapshot=null, ...extractOptions} = {}) {
+  return [
+    // Optionally restrict the documents to be inspected
+    ...(filter ? [{"$match": filter}] : []),
+    // Optionally only inspect a random subset of documents
+    ...(sampleSize ? [{"$sample": {"size": sampleSize}}] : []),
+    // Capture each document's flattened schema along with its _id, plus the values of any discriminator fields which say which variant it is
+    {"$replaceWith": {"$mergeObjects": [
+      extractSchema(maxElements, extractOptions),
+      {"docid": "$_id", ...(discriminators ? {"variant": getVariantExpression(discriminators)} : {})},
+    ]}},
+    // Collapse all the documents' flattened schemas into one summary per field
+    ...buildSchemaSummaryStages(stats, {"byVariant": !!discriminators, maxTopValues, maxEnumValues, stringPatterns, sensitiveData}),
+    // Optionally record the summary in the history of snapshots, instead of outputting it
+    ...(snapshot ? buildSchemaSnapshotStages(snapshot) : []),
+  ];
+}
 
 
 /**
- * Macro to generate the aggregation expressions to get the next object (if any) from the start of
- * the queue and capture its schema metadata including path, data type and relative position data
+ * Generate a MongoDB Aggregation pipeline to propose which fields of a collection's documents are
+ * likely to be discriminators, saying which variant of entity each document holds (ready to be
+ * used as the 'discriminators' option of buildSchemaAnalysisPipeline()). The candidates are the
+ * root-level string fields with between 2 and 'maxValues' distinct values, each scored by how
+ * strongly its values correlate with which other fields are present: for each optional field (one
+ * not present in every document), the difference between the highest and lowest percentage of the
+ * documents with each of the candidate's values which contain the field, averaged across all
+ * the optional fields. A score of 100 means every optional field is either always or never present
+ * for each value. The results are ordered highest score first, each listing the number of
+ * documents with the field and its values (with their number of documents). Requires MongoDB
+ * version 5.0+.
+ *
+ * @param {Object} [options]                 [OPTIONAL] The settings to control the analysis
+ * @param {Number} [options.sampleSize=10000] [OPTIONAL] The number of documents to randomly sample
+ *                                           (see buildSchemaAnalysisPipeline())
+ * @param {Object} [options.filter=null]     [OPTIONAL] A query to restrict which documents are
+ *                                           candidates for sampling (see
+ *                                           buildSchemaAnalysisPipeline())
+ * @param {Number} [options.maxValues=10]    [OPTIONAL] The most distinct values a field can have
+ *                                           to be a candidate
+ * @param {Number} [options.maxElements=500] [OPTIONAL] The maximum number of sub-documents to
+ *                                           flatten per document (see extractSchema()), along
+ *                                           with any of the other options of extractSchema()
+ * @return {Array}                           The generated MongoDB Aggregation pipeline, as an
+ *                                           array of stages, ready to be passed to aggregate()
  */
-function captureCurrentObjectSchema(currentResultsArray, objectsToProcessQueue, currentResultPosition, maxElements) {
-  return {
-    "$let": {
-      "vars": { 
-        // Get current object from the front of the queue
-        "currentObject": {"$first": objectsToProcessQueue},        
+function buildDiscriminatorCandidatesPipeline({sampleSize=10000, filter=null, maxValues=10, maxElements=500, ...extractOptions} = {}) {
+  return [
+    ...(filter ? [{"$match": filter}] : []),
+    ...(sampleSize ? [{"$sample": {"size": sampleSize}}] : []),
+    {"$replaceWith": extractSchema(maxElements, extractOptions)},
+
+    // Capture the root-level string fields of each document as candidates, and the path of every field the document contains
+    {"$replaceWith": {
+      "candidates": {"$filter": {
+        "input": {"$reduce": {
+          "input": {"$filter": {"input": "$content", "as": "subdoc", "cond": {"$eq": ["$$subdoc.subdocpath", ""]}}},
+          "initialValue": [],
+          "in": {"$concatArrays": ["$$value", "$$this.schema"]},
+        }},
+        "as": "field",
+        "cond": {"$eq": ["$$field.fieldtype", "string"]},
+      }},
+      "fieldpaths": {"$reduce": {
+        "input": "$content",
+        "initialValue": [],
+        "in": {"$setUnion": [
+          "$$value",
+          {"$map": {
+            "input": "$$this.schema.fieldname",
+            "as": "fieldname",
+            "in": {"$cond": [{"$eq": ["$$this.subdocpath", ""]}, "$$fieldname", {"$concat": ["$$this.subdocpath", ".", "$$fieldname"]}]},
+          }},
+        ]},
+      }},
+    }},
+
+    // Get one record per candidate of each document
+    {"$unwind":
+      "$candidates"
+    },
+
+    // Add a marker to each document's field paths so the number of documents with each candidate value also gets counted
+    {"$replaceWith": {
+      "candidate": "$candidates.fieldname",
+      "value": "$candidates.fieldvalue",
+      "fieldpath": {"$concatArrays": [[null], "$fieldpaths"]},
+    }},
+
+    // Get one record per field path of each candidate of each document
+    {"$unwind":
+      "$fieldpath"
+    },
+
+    // Count the documents containing each field path for each value of each candidate
+    {"$group": {
+      "_id": {"candidate": "$candidate", "value": "$value", "fieldpath": "$fieldpath"},
+      "count": {"$sum": 1},
+    }},
+
+    // Bring together the counts for each value of each candidate, taking the number of documents with the value from its marker
+    {"$group": {
+      "_id": {"candidate": "$_id.candidate", "value": "$_id.value"},
+      "documents": {"$sum": {"$cond": [{"$eq": ["$_id.fieldpath", null]}, "$count", 0]}},
+      "fieldpaths": {"$push": {"fieldpath": "$_id.fieldpath", "count": "$count"}},
+    }},
+
+    // Drop the candidates with too many distinct values before bringing their values together
+    {"$setWindowFields": {
+      "partitionBy": "$_id.candidate",
+      "output": {"distinctvalues": {"$count": {}}},
+    }},
+
+    {"$match": {
+      "distinctvalues": {"$gte": 2, "$lte": maxValues},
+    }},
+
+    // Ensure each candidate's values are listed most common first (and in a predictable order for ties)
+    {"$sort": {
+      "documents": -1,
+      "_id.value": 1,
+    }},
+
+    {"$group": {
+      "_id": "$_id.candidate",
+      "values": {"$push": {"value": "$_id.value", "documents": "$documents", "fieldpaths": "$fieldpaths"}},
+    }},
+
+    // Score each candidate by how much the presence of each optional field differs between its values
+    {"$replaceWith": {"$let": {
+      "vars": {
+        "documents": {"$sum": "$values.documents"},
+        "fieldpaths": {"$setDifference": [
+          {"$reduce": {"input": "$values", "initialValue": [], "in": {"$setUnion": ["$$value", "$$this.fieldpaths.fieldpath"]}}},
+          [null, "$_id"],
+        ]},
       },
       "in": {
-        // Concatenate current result array with current object's data, returning this new combined array as the result
-        "$concatArrays": [
-          currentResultsArray,
-          {"$cond": [
-            // Stop accumulating array elements if we have now reached the end of the list of nested sub-document objects
-            {"$ifNull": ["$$currentObject", false]},
-            {"$cond": [                     
-              {"$gte": [currentResultPosition, maxElements]},
-              [{"WARNING": "The 'maxElements' parameter wasn't set to a large enough value to fully traverse the document's nested content"}],
-              [{"$arrayToObject": [
-                {"$concatArrays": buildArrayOfSchemaMetadataFields("$$currentObject", currentResultPosition)}
-              ]}],                  
-            ]},                         
-            [], 
-          ]},                         
-        ]
-      }
-    }
-  };
+        "field": "$_id",
+        "documents": "$$documents",
+        "values": {"$map": {"input": "$values", "as": "value", "in": {"value": "$$value.value", "documents": "$$value.documents"}}},
+        "score": {"$round": [{"$multiply": [{"$ifNull": [{"$avg": {"$map": {
+          "input": "$$fieldpaths",
+          "as": "fieldpath",
+          "in": {"$let": {
+            "vars": {"counts": {"$map": {
+              "input": "$values",
+              "as": "value",
+              "in": {"$sum": {"$map": {
+                "input": {"$filter": {"input": "$$value.fieldpaths", "as": "entry", "cond": {"$eq": ["$$entry.fieldpath", "$$fieldpath"]}}},
+                "as": "entry",
+                "in": "$$entry.count",
+              }}},
+            }}},
+            "in": {"$cond": [
+              // A field present in every document can't tell the variants apart ($avg ignores the nulls)
+              {"$eq": [{"$sum": "$$counts"}, "$$documents"]},
+              null,
+              {"$let": {
+                "vars": {"presences": {"$map": {
+                  "input": {"$range": [0, {"$size": "$values"}]},
+                  "as": "index",
+                  "in": {"$divide": [{"$arrayElemAt": ["$$counts", "$$index"]}, {"$arrayElemAt": ["$values.documents", "$$index"]}]},
+                }}},
+                "in": {"$subtract": [{"$max": "$$presences"}, {"$min": "$$presences"}]},
+              }},
+            ]},
+          }},
+        }}}, 0]}, 100]}, 2]},
+      },
+    }}},
+
+    {"$sort": {
+      "score": -1,
+      "field": 1,
+    }},
+  ];
 }
 
 
 /**
- * Macro to generate the aggregation expressions to trim the first element, just inspected, from
- * the front of the queue and then add its direct children (if any) to the end of the queue, ready
- * to be processed in the future
+ * Generate a MongoDB $jsonSchema validator from the summarised schema output of the pipeline
+ * generated by buildSchemaAnalysisPipeline(), ready to be used as the 'validator' option of the
+ * createCollection or collMod commands. Each field's data types become its 'bsonType', nested
+ * sub-documents become nested 'properties' and arrays describe their elements using 'items'.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @param {Object}  [options]                   [OPTIONAL] The settings to control the validator
+ * @param {Number}  [options.requiredThreshold=100] [OPTIONAL] The minimum presence percentage a
+ *                                              field must have at its path to be marked as
+ *                                              'required' (set above 100 to never mark fields
+ *                                              as required)
+ * @param {Boolean} [options.strict=false]      [OPTIONAL] Whether to set 'additionalProperties'
+ *                                              to false for every object, rejecting any fields
+ *                                              not seen in the summary (otherwise lenient, where
+ *                                              unknown fields are allowed)
+ * @return {Object}                             The validator document, containing the top level
+ *                                              '$jsonSchema' field
  */
-function addChildrenOfCurrentObjectToQueue(objectsToProcessQueue) {
-  return {
-    "$let": {
-      "vars": { 
-        // Get current object from the front of the queue      
-        "currentObject": {"$first": objectsToProcessQueue},
-      },
-      "in": {
-        "$let": {
-          "vars": { 
-            // Get current object's metadata
-            "queueSize": {"$size": objectsToProcessQueue},
-            "currentObjectChildren": getNestedChildrenOfSubdoc({"$getField": {"field": "subdoc", "input": "$$currentObject"}}),
-            "currentObjectIdx": {"$getField": {"field": "index", "input": "$$currentObject"}},
-            "currentSubdocPath": {"$getField": {"field": "subdocpath", "input": "$$currentObject"}},
-            "newDepthNumber": {"$add": [{"$getField": {"field": "depth", "input": "$$currentObject"}}, 1]},
-          },
-          "in": {
-            // Concatenate current queue array (minus its first object) with new child objects, returning this new combined array as the new version of the queue
-            "$concatArrays": [
-              // Chop off the first object of the queue of objects to inspect, because further below it will be decomposed into child objects
-              {"$cond": [
-                {"$gt": ["$$queueSize", 0]},
-                {"$slice": [objectsToProcessQueue, 1, {"$add": ["$$queueSize", 1]}]},
-                [],
-              ]},             
-              // Push the content of each field which is a child object or array to the end of the queue of elements to inspect
-              {"$cond": [
-                // MongoDB supports "100 levels of nesting for BSON documents" so no point in gong beyond that
-                {"$and": [{"$isArray": "$$currentObjectChildren"}, {"$lte": ["$$newDepthNumber", 100]}]},
-                // Loop through each field which is either a chold object or array of objects, adding each object to the queue
-                constructQueueMember("$$currentObjectChildren", "$$currentObjectIdx", "$$currentSubdocPath", "$$newDepthNumber"),                
-                [],
-              ]},             
-            ]            
-          }
-        }
-      }      
-    }
-  };
+function generateJsonSchemaValidator(summary, {requiredThreshold=100, strict=false} = {}) {
+  const fieldsByPath = groupSummaryFieldsByPath(summary);
+  return {"$jsonSchema": buildJsonSchemaForValue(fieldsByPath, "", "", ["object"], {requiredThreshold, strict})};
 }
 
 
 /**
- * Macro to generate the aggregations expression to assembling all the fields for the schema
- * metadata for an object (which will be either the root document or one of potentially many
- * sub-documents
+ * Generate the source code of TypeScript interface declarations from the summarised schema output
+ * of the pipeline generated by buildSchemaAnalysisPipeline(). The root interface is followed by an
+ * interface for each nested sub-document path, named after the path (e.g. 'DocumentAddress').
+ * Fields seen with more than one data type get a union type, arrays get the types of their
+ * elements and map-like sub-documents (see extractSchema()) get an index signature. BSON types
+ * without a JavaScript equivalent use the classes of the MongoDB Node.js driver (e.g. ObjectId,
+ * Decimal128), which are imported at the top.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @param {Object}  [options]                   [OPTIONAL] The settings to control the interfaces
+ * @param {String}  [options.rootName="Document"] [OPTIONAL] The name of the root interface, which
+ *                                              also prefixes the names of the nested interfaces
+ * @param {Number}  [options.requiredThreshold=100] [OPTIONAL] The minimum presence percentage a
+ *                                              field must have at its path to not be marked as
+ *                                              optional (see generateJsonSchemaValidator())
+ * @return {String}                             The TypeScript source code
  */
-function buildArrayOfSchemaMetadataFields(object, currentResultPosition) {
-  return [
-    // Capture the top level metadata for the object
-    [{"k": "id", "v": currentResultPosition}],
-    [{"k": "depth", "v": {"$getField": {"field": "depth", "input": object}}}],
-    [{"k": "index", "v": {"$getField": {"field": "index", "input": object}}}],
-    [{"k": "subdocpath", "v": {"$getField": {"field": "subdocpath", "input": object}}}],                  
-    
-    // Capture the schema for each field for this new object with its name, value and type
-    [{"k": "schema", "v": {
-      "$map": {
-        "input": {"$objectToArray": {"$getField": {"field": "subdoc", "input": object}}},
-        "as": "field",
-        "in": {
-          "fieldname": "$$field.k",
-          "fieldvalue": {"$switch": {
-                          "branches": [
-                            {"case": {"$eq": [{"$type": "$$field.v"}, "array"]}, "then": "<array>"},
-                            {"case": {"$eq": [{"$type": "$$field.v"}, "object"]}, "then": "<object>"},
-                          ],
-                          "default": "$$field.v",
-                        }},                                                                                                     
-          "fieldtype": {"$type": "$$field.v"},                                
-        }
-      }
-    }}], 
-  ];
+function generateTypeScriptInterfaces(summary, {rootName="Document", requiredThreshold=100} = {}) {
+  const fieldsByPath = groupSummaryFieldsByPath(summary);
+  const declarations = {"interfaces": [], "interfaceNames": new Set(), "imports": new Set()};
+  buildTypeScriptTypeForValue(fieldsByPath, "", "", ["object"], declarations, {rootName, requiredThreshold});
+  const imports = (declarations.imports.size > 0) ? [`import { ${[...declarations.imports].sort(compareStrings).join(", ")} } from "mongodb";\n`] : [];
+  return [...imports, ...declarations.interfaces].join("\n");
 }
 
 
 /**
- * Macro to generate the aggregation expressions to find each field of the given object that maps
- * to a value which is an array or a sub-document (object) and return only those fields, collected
- * together in an array
+ * Generate the source code of a Mongoose schema from the summarised schema output of the pipeline
+ * generated by buildSchemaAnalysisPipeline(). Nested sub-documents become nested paths, arrays of
+ * sub-documents become arrays of subdocument schemas (only given an automatic '_id' if the
+ * sub-documents had one), other arrays get the type of their elements and map-like sub-documents
+ * (see extractSchema()) become Maps. A field seen with more than one data type (ignoring null)
+ * becomes 'Mixed'.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @param {Object}  [options]                   [OPTIONAL] The settings to control the schema
+ * @param {String}  [options.schemaName="documentSchema"] [OPTIONAL] The name of the variable the
+ *                                              schema is assigned to
+ * @param {Number}  [options.requiredThreshold=100] [OPTIONAL] The minimum presence percentage a
+ *                                              field must have at its path to be marked as
+ *                                              'required' (see generateJsonSchemaValidator()),
+ *                                              which only applies to fields which aren't
+ *                                              sub-documents or arrays
+ * @return {String}                             The JavaScript source code
  */
-function getNestedChildrenOfSubdoc(subdoc) {
-  return {
-    // Loop through each field in the current object
-    "$reduce": {
-      "input": {"$objectToArray": subdoc},
-      "initialValue": [],
-      "in": {
-        "$concatArrays": [
-          "$$value",
-          {"$switch": {
-            "branches": [
-              // If there's one object hanging off this field, just add that with additional metadata
-              {"case": {"$eq": [{"$type": "$$this.v"}, "object"]}, "then": [{
-                "key" : "$$this.k", 
-                "value" : "$$this.v",
-              }]},
-              // If there's an array hanging off this field, unpack and add each array object with additional metadata
-              {"case": {"$eq": [{"$type": "$$this.v"}, "array"]}, "then": {
-                "$map": {
-                  "input": "$$this.v",
-                  "as": "element",
-                  "in": {
-                    "key" : "$$this.k",                                                                
-                    "value" : {"$cond": [{"$eq": [{"$type": "$$element"}, "object"]}, "$$element", {"<arrayitem>": "$$element"}]},
-                  }
-                }
-              }},
-            ],
-            // Otherwise this field does not correspond to an object or array so don't add the field in the result array
-            "default": [], 
-          }}            
-        ]
-      }
+function generateMongooseSchema(summary, {schemaName="documentSchema", requiredThreshold=100} = {}) {
+  const fieldsByPath = groupSummaryFieldsByPath(summary);
+  const definition = buildMongooseDefinitionForObject(fieldsByPath, "", "", {requiredThreshold});
+  return `const { Schema } = require("mongoose");\n\nconst ${schemaName} = new Schema(${definition});\n`;
+}
+
+
+/**
+ * Format the summarised schema output of the pipeline generated by buildSchemaAnalysisPipeline()
+ * as CSV text, with a header row followed by one row per field summary (including the summaries of
+ * each variant, if any, where a 'variant' column is added first). Each field's data types are
+ * listed in a single column with their counts, e.g. "string (9), null (1)". The summary of any
+ * truncated documents is left out, so check for it separately.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @return {String}                             The CSV text, with a line break after each row
+ */
+function formatSchemaSummaryAsCsv(summary) {
+  const rows = getSchemaSummaryReportRows(summary);
+  const quoteValue = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  return rows.map(row => `${row.map(quoteValue).join(",")}\n`).join("");
+}
+
+
+/**
+ * Format the summarised schema output of the pipeline generated by buildSchemaAnalysisPipeline()
+ * as a Markdown table, with one row per field summary (including the summaries of each variant, if
+ * any, where a 'variant' column is added first). If any documents were truncated, a warning saying
+ * how many and the 'maxElements' value which would have been sufficient precedes the table.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @return {String}                             The Markdown text
+ */
+function formatSchemaSummaryAsMarkdown(summary) {
+  const warning = getSchemaTruncationWarning(summary);
+  const [header, ...rows] = getSchemaSummaryReportRows(summary);
+  const escapeValue = value => value.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const formatRow = row => `| ${row.map(escapeValue).join(" | ")} |\n`;
+  return `${warning ? `> **WARNING:** ${warning}\n\n` : ""}${formatRow(header)}${formatRow(header.map(() => "---"))}${rows.map(formatRow).join("")}`;
+}
+
+
+/**
+ * Format the summarised schema output of the pipeline generated by buildSchemaAnalysisPipeline()
+ * as a Mermaid flowchart (e.g. for pasting into a wiki page or a GitHub Markdown code block
+ * marked 'mermaid'), drawing the nesting of sub-documents and arrays as a tree. Each field's node
+ * shows the share of its occurrences for each data type, its presence and, for arrays, the range
+ * and average of their lengths (when the 'arraystats' statistic was computed). The summaries of
+ * each variant are left out and any truncation warning is added as a comment.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @return {String}                             The Mermaid text
+ */
+function formatSchemaSummaryAsMermaid(summary) {
+  const escapeText = text => text.replace(/#/g, "#35;").replace(/"/g, "#34;").replace(/</g, "#60;").replace(/>/g, "#62;");
+  const lines = ["flowchart LR"];
+  const warning = getSchemaTruncationWarning(summary);
+
+  if (warning) {
+    lines.push(`  %% WARNING: ${warning.replace(/\r?\n/g, " ")}`);
+  }
+
+  forEachSchemaTreeNode(buildSchemaSummaryTree(summary), (node, nodeId, parentId) => {
+    lines.push(`  ${nodeId}["${[node.name, ...node.details].map(escapeText).join("<br/>")}"]`);
+
+    if (parentId) {
+      lines.push(`  ${parentId} --> ${nodeId}`);
     }
-  };
+  });
+
+  return `${lines.join("\n")}\n`;
 }
 
 
 /**
- * Macro to generate the MongoDB Aggregation expressions to create a wrapper object for adding to
- * the queue capturing its depth, index, path and, hanging off a 'subdoc' field, the content itself
+ * Format the summarised schema output of the pipeline generated by buildSchemaAnalysisPipeline()
+ * as a Graphviz DOT digraph (e.g. to render with 'dot -Tsvg'), drawing the same tree, with the same
+ * details for each field, as formatSchemaSummaryAsMermaid().
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @return {String}                             The DOT text
  */
-function constructQueueMember(currentObjectChildren, currentObjectIdx, currentSubdocPath, newDepthNumber) {
-  return {
-    "$reduce": { 
-      "input": {"$range": [0, {"$size": currentObjectChildren}]},
-      "initialValue": [],
-      "in": {
-        "$let": {
-          "vars": { 
-            "childObject": {"$arrayElemAt": [currentObjectChildren, "$$this"]},
-            "subdocPathSeperator": {"$cond": [{"$gt": [{"$strLenCP": currentSubdocPath}, 0]}, ".", ""]},                        
-          },
-          "in": {              
-            "$concatArrays": [                            
-              "$$value",
-              [{
-                // Add metadata to the object being added to the list including the actual object itself (keyed 'subdoc')
-                "depth": newDepthNumber,
-                "index": {"$concat": [currentObjectIdx, "_", {"$toString": "$$this"}]},
-                "subdocpath": {"$concat": [currentSubdocPath, "$$subdocPathSeperator", {"$getField": {"field": "key", "input": "$$childObject"}}]},
-                "subdoc": {"$getField": {"field": "value", "input": "$$childObject"}},                    
-              }],
-            ]                
-          }
-        }                                
-      }
-    },                  
+function formatSchemaSummaryAsDot(summary) {
+  const escapeText = text => text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\r?\n/g, " ");
+  const lines = ["digraph schema {", "  rankdir=LR;", '  node [shape=box, fontname="Helvetica", fontsize=10];'];
+  const warning = getSchemaTruncationWarning(summary);
+
+  if (warning) {
+    lines.push(`  // WARNING: ${warning.replace(/\r?\n/g, " ")}`);
+  }
+
+  forEachSchemaTreeNode(buildSchemaSummaryTree(summary), (node, nodeId, parentId) => {
+    lines.push(`  ${nodeId} [label="${[node.name, ...node.details].map(escapeText).join("\\n")}"];`);
+
+    if (parentId) {
+      lines.push(`  ${parentId} -> ${nodeId};`);
+    }
+  });
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+
+/**
+ * Format the summarised schema output of the pipeline generated by buildSchemaAnalysisPipeline()
+ * as a self-contained HTML page, which needs no scripts or network access, drawing the same tree,
+ * with the same details for each field, as formatSchemaSummaryAsMermaid(), where each sub-document
+ * or array can be collapsed and expanded. Any truncation warning is shown above the tree.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @param {Object}  [options]                   [OPTIONAL] The settings to control the page
+ * @param {String}  [options.title="Schema"]    [OPTIONAL] The title of the page
+ * @return {String}                             The HTML text
+ */
+function formatSchemaSummaryAsHtml(summary, {title="Schema"} = {}) {
+  const escapeText = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const warning = getSchemaTruncationWarning(summary);
+  const renderNode = (node, indent) => {
+    const label = `<span class="field">${escapeText(node.name)}</span> <span class="details">${node.details.map(escapeText).join(" &middot; ")}</span>`;
+
+    if (node.children.length <= 0) {
+      return `${indent}<li>${label}</li>\n`;
+    }
+
+    return `${indent}<li><details open><summary>${label}</summary>\n` +
+           `${indent}  <ul>\n${node.children.map(child => renderNode(child, `${indent}    `)).join("")}${indent}  </ul>\n` +
+           `${indent}</details></li>\n`;
   };
+
+  return "<!DOCTYPE html>\n" +
+         '<html lang="en">\n' +
+         "<head>\n" +
+         '<meta charset="utf-8">\n' +
+         `<title>${escapeText(title)}</title>\n` +
+         "<style>\n" +
+         "  body { font-family: Helvetica, Arial, sans-serif; font-size: 14px; margin: 2em; }\n" +
+         "  ul { list-style: none; margin: 0; padding-left: 1.5em; border-left: 1px dotted #bbb; }\n" +
+         "  li { margin: 0.2em 0; }\n" +
+         "  summary { cursor: pointer; }\n" +
+         "  .field { font-family: Menlo, Consolas, monospace; font-weight: bold; }\n" +
+         "  .details { color: #555; }\n" +
+         "  .warning { color: #a00; }\n" +
+         "</style>\n" +
+         "</head>\n" +
+         "<body>\n" +
+         `<h1>${escapeText(title)}</h1>\n` +
+         (warning ? `<p class="warning">WARNING: ${escapeText(warning)}</p>\n` : "") +
+         `<ul>\n${renderNode(buildSchemaSummaryTree(summary), "  ")}</ul>\n` +
+         "</body>\n" +
+         "</html>\n";
 }
 
 
-///////////////////////////////////////////////////////////////////////////////////////////////////
-////////////////////////////////////////////// TESTS //////////////////////////////////////////////
-///////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * List the fields flagged as likely to hold personal data in the summarised schema output by the
+ * pipeline generated by buildSchemaAnalysisPipeline() with the 'sensitiveData' setting (e.g. to
+ * review which fields to drop or mask before sharing a collection), most confidently flagged
+ * first. The summaries of each variant are left out, as they're flagged the same as the overall
+ * summary.
+ *
+ * @param {Array}   summary                     The array of results output by the pipeline
+ *                                              generated by buildSchemaAnalysisPipeline()
+ * @return {Array}                              One element per flagged field, giving its 'path'
+ *                                              and 'field', the 'category' of personal data, the
+ *                                              'confidence' score (0-100), whether the field's
+ *                                              name suggests it ('namematch') and the percentage
+ *                                              of its strings which look like it ('valueshare')
+ */
+function listSensitiveFields(summary) {
+  const sensitiveFields = getSummaryFields(summary)
+    .filter(fieldSummary => fieldSummary.sensitivedata)
+    .map(fieldSummary => ({"path": fieldSummary.path, "field": fieldSummary.field, ...fieldSummary.sensitivedata}));
+  sensitiveFields.sort((fieldA, fieldB) => (fieldB.confidence - fieldA.confidence) || compareStrings(fieldA.path, fieldB.path) || compareStrings(fieldA.field, fieldB.field));
+  return sensitiveFields;
+}
 
 
 /**
- * Run an aggregation pipeline and compare its result with the expected result, throwing an error
- * if different
- */ 
-function runAggPipelineAndErrorIfDifferent(funcName, pipeline, expectedResult) {
-  const result = db.aggregate(pipeline).toArray();
-  print(`\n\n----- ${funcName} ------\n`);
-  print("EXPECTED RESULT:");
-  print(expectedResult);
-  print("ACTUAL RESULT:");
-  print(result);
-  print();
+ * Compare two summarised schemas (e.g. captured before and after a release, or from two different
+ * collections), each being the output of the pipeline generated by buildSchemaAnalysisPipeline(),
+ * and report the differences for each field (keyed by its sub-document path and field name). For
+ * each field with a difference, the result lists the data types which have been added or removed,
+ * any significant shift in the share of the field's occurrences each common type accounts for, any
+ * significant shift in the field's presence percentage and any changed min/max ranges.
+ *
+ * @param {Array}  before                     The summarised schema to treat as the baseline
+ * @param {Array}  after                      The summarised schema to compare with the baseline
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the comparison
+ * @param {Number} [options.typeShareThreshold=10] [OPTIONAL] The minimum number of percentage
+ *                                            points a type's share of a field must move by to be
+ *                                            reported as a shift
+ * @param {Number} [options.presenceThreshold=10] [OPTIONAL] The minimum number of percentage
+ *                                            points a field's presence must move by to be
+ *                                            reported as a shift
+ * @return {Array}                            One entry per changed field, sorted by path and field
+ *                                            name, with a 'change' of 'added', 'removed' or
+ *                                            'changed' (an empty array means no differences)
+ */
+function diffSchemas(before, after, {typeShareThreshold=10, presenceThreshold=10} = {}) {
+  const getFieldKey = fieldSummary => JSON.stringify([fieldSummary.path, fieldSummary.field]);
+  const beforeFields = new Map(getSummaryFields(before).map(fieldSummary => [getFieldKey(fieldSummary), fieldSummary]));
+  const afterFields = new Map(getSummaryFields(after).map(fieldSummary => [getFieldKey(fieldSummary), fieldSummary]));
+  const fieldKeys = [...new Set([...beforeFields.keys(), ...afterFields.keys()])].map(key => JSON.parse(key));
+  fieldKeys.sort(([pathA, fieldA], [pathB, fieldB]) => compareStrings(pathA, pathB) || compareStrings(fieldA, fieldB));
+  const differences = [];
 
-  if (JSON.stringify(result) != JSON.stringify(expectedResult)) {
-    throw `${funcName} - TEST FAILED`;  
+  for (const [path, field] of fieldKeys) {
+    const key = JSON.stringify([path, field]);
+    const difference = diffFieldSummaries(path, field, beforeFields.get(key), afterFields.get(key), {typeShareThreshold, presenceThreshold});
+
+    if (difference) {
+      differences.push(difference);
+    }
   }
+
+  return differences;
 }
 
 
 /**
- * TEST: getNestedChildrenOfSubdoc
- * Requires MongoDB version 5.1+
- */ 
-function test_getNestedChildrenOfSubdoc_1() {
-  const expectedResult = [
-    {
-      children: [
-        { key: 'b', value: { '<arrayitem>': 1 } },
-        { key: 'b', value: { '<arrayitem>': 2 } },
-        { key: 'b', value: { '<arrayitem>': 3 } },
-        { key: 'c', value: { a: 1, b: 2, c: 3 } },
-        { key: 'd', value: { x: 1 } },
-        { key: 'd', value: { y: 2 } },
-        { key: 'd', value: { z: 3 } },
-        {
-          key: 'e',
-          value: { p: [ { q: 1 }, { r: 2 } ] }
-        }
-      ]
-    },
-    { children: [] }
-  ];
-
-  const pipeline = [
-    {"$documents": [
-      {
-        "a": 1,
-        "b": [1,2,3],
-        "c": {"a": 1, "b": 2, "c": 3},
-        "d": [{"x": 1}, {"y": 2}, {"z": 3}],
-        "e": [{"p": [{"q": 1}, {"r": 2}]}],
-      },
-      {
-        "other": true,
-      },
-    ]},
-    
-    {"$project": {
-      "_id": 0,
-      "children": getNestedChildrenOfSubdoc("$$ROOT"),
-    }},    
+ * Macro to generate a MongoDB Aggregation pipeline to compare the schema of the collection the
+ * pipeline is run against with the schema of another collection in the same database. Both
+ * collections are analysed using the same settings as buildSchemaAnalysisPipeline() and the
+ * result has the same structure as the result of diffSchemas(), treating the collection the
+ * pipeline is run against as the baseline ('before').
+ *
+ * @param {String} otherCollectionName        The name of the collection to compare with the
+ *                                            baseline ('after')
+ * @param {Object} [options]                  [OPTIONAL] The settings for the analysis of each
+ *                                            collection (see buildSchemaAnalysisPipeline()) and
+ *                                            for the comparison (see diffSchemas())
+ * @return {Array}                            The generated MongoDB Aggregation pipeline, as an
+ *                                            array of stages, ready to be passed to aggregate()
+ */
+function buildSchemaDiffPipeline(otherCollectionName, {typeShareThreshold=10, presenceThreshold=10, ...analysisOptions} = {}) {
+  return [
+    // Summarise the schema of this collection, marking it as the baseline
+    ...buildSchemaAnalysisPipeline(analysisOptions),
+    {"$set": {"side": "before"}},
+    // Add in the summarised schema of the other collection
+    {"$unionWith": {
+      "coll": otherCollectionName,
+      "pipeline": [
+        ...buildSchemaAnalysisPipeline(analysisOptions),
+        {"$set": {"side": "after"}},
+      ],
+    }},
+    // Compare the two summaries of each field
+    ...buildSchemaDiffStages({typeShareThreshold, presenceThreshold}),
   ];
-
-  runAggPipelineAndErrorIfDifferent(test_getNestedChildrenOfSubdoc_1.name, pipeline, expectedResult);
 }
 
 
 /**
- * TEST: buildObjectMetadata
- * Requires MongoDB version 5.1+
- */ 
-function test_buildArrayOfSchemaMetadataFields_1() {
-  const expectedResult = [
-    {
-      recordList: [
-        [ { k: 'id', v: 1 } ],
-        [ { k: 'depth', v: 1 } ],
-        [ { k: 'index', v: '0' } ],
-        [ { k: 'subdocpath', v: '' } ],
-        [
-          {
-            k: 'schema',
-            v: [
-              { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
-              {
-                fieldname: 'b',
-                fieldvalue: '<array>',
-                fieldtype: 'array'
-              },
-              {
-                fieldname: 'c',
-                fieldvalue: '<object>',
-                fieldtype: 'object'
-              },
+ * Macro to generate a MongoDB Aggregation pipeline to run against a snapshots collection (see the
+ * 'snapshot' option of buildSchemaAnalysisPipeline()) to get the history of one field of a source
+ * collection, e.g. to find when 'price' started showing up as a string. The result is a single
+ * document giving when the field was first and last seen ('firstseen' and 'lastseen', null if
+ * never seen) and, in order, each run's snapshot of the field in 'runs': whether it was
+ * 'present', its 'presence', the share of its occurrences for each data type in 'types' and,
+ * compared with the previous run, the data types added and removed ('addedtypes' and
+ * 'removedtypes') and the change in presence ('presencechange'). Requires MongoDB version 5.0+.
+ *
+ * @param {String} source                     The name of the collection analysed, as given in
+ *                                            the snapshot settings
+ * @param {String} fieldPath                  The dot-separated path of the field, matching the
+ *                                            summary's path joined to its field name (e.g.
+ *                                            "price", "items.qty" or "tags.<arrayitem>")
+ * @return {Array}                            The generated MongoDB Aggregation pipeline, as an
+ *                                            array of stages, ready to be passed to aggregate()
+ */
+function buildSchemaHistoryPipeline(source, fieldPath) {
+  const separatorPosition = fieldPath.lastIndexOf(".");
+  const path = fieldPath.slice(0, Math.max(separatorPosition, 0));
+  const field = fieldPath.slice(separatorPosition + 1);
+  const getFieldTypes = fieldSummary => ({"$map": {"input": {"$ifNull": [`${fieldSummary}.types`, []]}, "as": "type", "in": "$$type.fieldtype"}});
+
+  return [
+    // Only the overall summaries of the source collection's fields matter, not those of truncated documents or variants
+    {"$match": {
+      "source": source,
+      "field": {"$exists": true},
+      "variant": {"$exists": false},
+    }},
+
+    // Find the field's summary in each run, if it was seen
+    {"$group": {
+      "_id": "$runat",
+      "fieldsummary": {"$max": {"$cond": [
+        {"$and": [{"$eq": ["$path", {"$literal": path}]}, {"$eq": ["$field", {"$literal": field}]}]},
+        {"presence": "$presence", "count": "$count", "types": "$types"},
+        null,
+      ]}},
+    }},
+
+    // Compare each run's summary of the field with the previous run's
+    {"$setWindowFields": {
+      "sortBy": {"_id": 1},
+      "output": {
+        "previous": {"$shift": {"output": "$fieldsummary", "by": -1, "default": null}},
+      },
+    }},
+
+    {"$replaceWith": {"$let": {
+      "vars": {
+        "types": getFieldTypes("$fieldsummary"),
+        "previoustypes": getFieldTypes("$previous"),
+      },
+      "in": {
+        "runat": "$_id",
+        "present": {"$ne": ["$fieldsummary", null]},
+        "presence": {"$ifNull": ["$fieldsummary.presence", 0]},
+        "types": {"$map": {
+          "input": {"$ifNull": ["$fieldsummary.types", []]},
+          "as": "type",
+          "in": {
+            "fieldtype": "$$type.fieldtype",
+            "share": {"$round": [{"$multiply": [{"$divide": ["$$type.count", "$fieldsummary.count"]}, 100]}, 2]},
+          },
+        }},
+        "addedtypes": {"$filter": {"input": "$$types", "as": "type", "cond": {"$not": [{"$in": ["$$type", "$$previoustypes"]}]}}},
+        "removedtypes": {"$filter": {"input": "$$previoustypes", "as": "type", "cond": {"$not": [{"$in": ["$$type", "$$types"]}]}}},
+        "presencechange": {"$round": [{"$subtract": [{"$ifNull": ["$fieldsummary.presence", 0]}, {"$ifNull": ["$previous.presence", 0]}]}, 2]},
+      },
+    }}},
+
+    // Collect the runs into one history of the field
+    {"$sort": {"runat": 1}},
+
+    {"$group": {
+      "_id": null,
+      "firstseen": {"$min": {"$cond": ["$present", "$runat", null]}},
+      "lastseen": {"$max": {"$cond": ["$present", "$runat", null]}},
+      "runs": {"$push": "$$ROOT"},
+    }},
+
+    {"$replaceWith": {
+      "source": {"$literal": source},
+      "path": {"$literal": path},
+      "field": {"$literal": field},
+      "firstseen": "$firstseen",
+      "lastseen": "$lastseen",
+      "runs": "$runs",
+    }},
+  ];
+}
+
+
+/**
+ * Macro to generate the MongoDB Aggregation stages to check each document against a summarised
+ * schema (e.g. one inferred earlier and approved), tagging each document with a list of the ways it
+ * doesn't conform. The document's schema is extracted using extractSchema(), so pass the same
+ * traversal settings used to build the summary, and each of the document's fields is looked up in
+ * the summary by its sub-document path and field name. Each violation lists the 'path', 'field'
+ * and 'fieldtype' of the offending field, and its 'violation', which is one of:
+ *
+ *  - 'unexpectedpath' - the summary has no such field (only reported for the outermost unexpected
+ *    field, rather than every field nested below it)
+ *  - 'unexpectedtype' - the summary has the field, but never with this data type
+ *  - 'raretype' - the summary has the field with this data type in fewer than 'rareTypeShare'
+ *    percent of its occurrences
+ *  - 'truncated' - the document couldn't be fully inspected within 'maxElements' sub-documents, so
+ *    further violations may be unreported (no path, field or type is given)
+ *
+ * Each violation is only listed once per document, even if repeated in many array elements. Follow
+ * the stages with a $match on the violations field being non-empty to find the offending
+ * documents, e.g. to $out them for cleanup.
+ *
+ * @param {Array}  summary                    The array of results output by the pipeline
+ *                                            generated by buildSchemaAnalysisPipeline(), giving
+ *                                            the schema to check against
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the checks
+ * @param {Number} [options.maxElements=500]  [OPTIONAL] The maximum number of sub-documents to
+ *                                            flatten per document (see extractSchema())
+ * @param {Number} [options.rareTypeShare=1]  [OPTIONAL] The percentage of a field's occurrences in
+ *                                            the summary below which one of its data types is
+ *                                            reported as rare (set to 0 to never report rare
+ *                                            types)
+ * @param {String} [options.violationsField="schemaviolations"] [OPTIONAL] The name of the field to
+ *                                            add to each document, holding its violations (an
+ *                                            empty array if the document conforms)
+ * @param {String} [options.serverVersion="5.0"] [OPTIONAL] The version of the MongoDB server the
+ *                                            stages will run on (see extractSchema())
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Whether and how to collapse the
+ *                                            fields of map-like sub-documents (see extractSchema())
+ * @param {Array}  [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                            descend into (see extractSchema())
+ * @param {Array}  [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                            to descend into (see extractSchema())
+ * @param {Number} [options.maxDepth=100]     [OPTIONAL] The maximum depth of sub-document to
+ *                                            descend into (see extractSchema())
+ * @return {Array}                            The generated MongoDB Aggregation stages, ready to be
+ *                                            included in a pipeline
+ */
+function buildSchemaConformanceStages(summary, {maxElements=500, rareTypeShare=1, violationsField="schemaviolations", ...extractOptions} = {}) {
+  const {expectedFields, knownPaths} = getSchemaExpectations(summary, rareTypeShare);
+  const buildViolation = violation => ({
+    "violation": violation,
+    "path": "$$subdoc.subdocpath",
+    "field": "$$schemafield.fieldname",
+    "fieldtype": "$$schemafield.fieldtype",
+  });
+
+  return [
+    {"$set": {
+      [violationsField]: {"$let": {
+        "vars": {
+          "schema": extractSchema(maxElements, extractOptions),
+        },
+        "in": {"$let": {
+          "vars": {
+            // Check each field of each of the document's sub-documents against the summary
+            "violations": {"$reduce": {
+              "input": "$$schema.content",
+              "initialValue": {"$cond": [{"$eq": [{"$type": "$$schema.truncation"}, "object"]}, [{"violation": "truncated"}], []]},
+              "in": {"$let": {
+                "vars": {"subdoc": "$$this"},
+                "in": {"$concatArrays": ["$$value", {"$map": {
+                  "input": "$$subdoc.schema",
+                  "as": "schemafield",
+                  "in": {"$let": {
+                    "vars": {"expected": {"$first": {"$filter": {
+                      "input": {"$literal": expectedFields},
+                      "as": "expectedfield",
+                      "cond": {"$and": [
+                        {"$eq": ["$$expectedfield.path", "$$subdoc.subdocpath"]},
+                        {"$eq": ["$$expectedfield.field", "$$schemafield.fieldname"]},
+                      ]},
+                    }}}},
+                    "in": {"$switch": {
+                      "branches": [
+                        {
+                          "case": {"$eq": [{"$type": "$$expected"}, "missing"]},
+                          // Only the outermost of a group of unexpected fields is reported
+                          "then": {"$cond": [{"$in": ["$$subdoc.subdocpath", {"$literal": knownPaths}]}, buildViolation("unexpectedpath"), null]},
+                        },
+                        {"case": {"$not": [{"$in": ["$$schemafield.fieldtype", "$$expected.types"]}]}, "then": buildViolation("unexpectedtype")},
+                        {"case": {"$in": ["$$schemafield.fieldtype", "$$expected.raretypes"]}, "then": buildViolation("raretype")},
+                      ],
+                      "default": null,
+                    }},
+                  }},
+                }}]},
+              }},
+            }},
+          },
+          // Leave out the fields without a violation and any repeats (e.g. from different elements of the same array)
+          "in": {"$reduce": {
+            "input": "$$violations",
+            "initialValue": [],
+            "in": {"$cond": [
+              {"$or": [{"$eq": ["$$this", null]}, {"$in": ["$$this", "$$value"]}]},
+              "$$value",
+              {"$concatArrays": ["$$value", ["$$this"]]},
+            ]},
+          }},
+        }},
+      }},
+    }},
+  ];
+}
+
+
+/**
+ * MongoDB Shell only: watch a collection's change stream for writes which don't match a baseline
+ * summarised schema, catching short-lived bad writes which batch sampling would miss. The full
+ * document of each insert or replace is inspected with the same traversal as extractSchema()
+ * (using extractSchemaFromDocuments()) and checked like buildSchemaConformanceStages() does, but
+ * only raising alerts for a field path ('unexpectedpath') or data type ('unexpectedtype') never
+ * seen in the baseline, or for a document too large to check ('truncated'). Each alert gives the
+ * collection's name ('source'), the 'operationtype', the 'documentkey', the 'clustertime' of the
+ * write and the 'violations'. The collection must be part of a replica set (a single node replica
+ * set will do) or sharded cluster. Watching continues until 'maxEvents' writes have been checked
+ * or no writes have arrived for 'maxIdleMS' (if set), otherwise indefinitely.
+ *
+ * @param {Object}   collection               The collection to watch, e.g. db.orders
+ * @param {Array}    summary                  The array of results output by the pipeline
+ *                                            generated by buildSchemaAnalysisPipeline(), giving
+ *                                            the baseline schema
+ * @param {Object}   [options]                [OPTIONAL] The settings to control the watching
+ * @param {Function} [options.onAlert=null]   [OPTIONAL] The function to call with each alert
+ * @param {Object}   [options.alertsCollection=null] [OPTIONAL] The collection to insert each
+ *                                            alert into, e.g. db.schema_alerts (if neither this
+ *                                            nor 'onAlert' is set, alerts are printed)
+ * @param {Object}   [options.startAtOperationTime=null] [OPTIONAL] The cluster time to start
+ *                                            watching from, e.g. the 'operationTime' of an earlier
+ *                                            command (default is from now)
+ * @param {Object}   [options.resumeAfter=null] [OPTIONAL] The resume token to continue watching
+ *                                            after, e.g. the 'resumetoken' returned by an earlier
+ *                                            call
+ * @param {Number}   [options.maxEvents=null] [OPTIONAL] The number of writes to check before
+ *                                            stopping
+ * @param {Number}   [options.maxIdleMS=null] [OPTIONAL] The milliseconds to wait for a write
+ *                                            before stopping
+ * @param {Number}   [options.maxElements=500] [OPTIONAL] The maximum number of sub-documents to
+ *                                            flatten per document (see extractSchema())
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Whether and how to collapse the
+ *                                            fields of map-like sub-documents, which should match
+ *                                            the baseline's settings (see extractSchema())
+ * @param {Array}    [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                            descend into (see extractSchema())
+ * @param {Array}    [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                            to descend into (see extractSchema())
+ * @param {Number}   [options.maxDepth=100]   [OPTIONAL] The maximum depth of sub-document to
+ *                                            descend into (see extractSchema())
+ * @return {Object}                           The number of writes checked ('events') and of
+ *                                            alerts raised ('alerts'), plus the 'resumetoken' to
+ *                                            continue watching from
+ */
+function watchSchemaDrift(collection, summary, {onAlert=null, alertsCollection=null, startAtOperationTime=null, resumeAfter=null, maxEvents=null, maxIdleMS=null, maxElements=500, ...extractOptions} = {}) {
+  const settings = getTraversalSettings(extractOptions);
+  const expectations = getSchemaExpectations(summary, 0);
+  const changeStream = collection.watch([{"$match": {"operationType": {"$in": ["insert", "replace"]}}}], {
+    ...(startAtOperationTime ? {startAtOperationTime} : {}),
+    ...(resumeAfter ? {resumeAfter} : {}),
+    // Keep numbers as their BSON classes, so a double holding a whole number isn't mistaken for an int
+    "promoteValues": false,
+  });
+  const result = {"events": 0, "alerts": 0, "resumetoken": resumeAfter};
+  let idleSince = Date.now();
+
+  try {
+    while (!changeStream.isClosed() && ((maxEvents === null) || (result.events < maxEvents))) {
+      const event = changeStream.tryNext();
+
+      if (!event) {
+        if ((maxIdleMS !== null) && ((Date.now() - idleSince) >= maxIdleMS)) {
+          break;
+        }
+
+        sleep(100);
+        continue;
+      }
+
+      idleSince = Date.now();
+      result.events++;
+      result.resumetoken = event._id;
+      const violations = getSchemaViolationsOfExtractedSchema(extractSchemaFromDocument(event.fullDocument, maxElements, settings), expectations);
+
+      if (violations.length > 0) {
+        const alert = {
+          "source": event.ns.coll,
+          "operationtype": event.operationType,
+          "documentkey": event.documentKey,
+          "clustertime": event.clusterTime,
+          "violations": violations,
+        };
+        result.alerts++;
+
+        if (alertsCollection) {
+          alertsCollection.insertOne(alert);
+        }
+
+        if (onAlert) {
+          onAlert(alert);
+        } else if (!alertsCollection) {
+          printjson(alert);
+        }
+      }
+    }
+  } finally {
+    changeStream.close();
+  }
+
+  return result;
+}
+
+
+/**
+ * Cross-check a collection's indexes against the summarised schema of its documents, matching each
+ * index key's path with the fields in the summary. Each index key is listed with the percentage
+ * of sampled documents holding the field ('presence'), the data types it holds (using the types
+ * of the elements for an array field, which is what the index holds) and whether the index is
+ * multikey on it, because the field or one of the sub-documents on its path is an array. Each key
+ * also lists its issues, which are any of:
+ *
+ *  - 'missing' - the field wasn't seen in the sample (e.g. it has been renamed or removed)
+ *  - 'rare' - the field is present in fewer than 'rarePresence' percent of documents (the index
+ *    may be better as a sparse or partial index)
+ *  - 'multitype' - the field holds more than one data type (ignoring null), so queries on one type
+ *    won't use the index for the others
+ *  - 'multikey' - the index is multikey on the field, as arrays were seen on its path
+ *  - 'parallelarrays' - another key of the same compound index is multikey on a different array,
+ *    which MongoDB rejects when both arrays appear in the same document
+ *
+ * The result also lists the fields present in at least 'frequentPresence' percent of documents
+ * which no index key covers, leaving out the fields just holding sub-documents.
+ *
+ * @param {Array}  indexes                    The collection's indexes, as returned by
+ *                                            getIndexes()
+ * @param {Array}  summary                    The array of results output by the pipeline
+ *                                            generated by buildSchemaAnalysisPipeline() for the
+ *                                            same collection
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the checks
+ * @param {Number} [options.rarePresence=10]  [OPTIONAL] The percentage of documents a field must
+ *                                            be present in for its index keys to not be flagged
+ *                                            as 'rare'
+ * @param {Number} [options.frequentPresence=90] [OPTIONAL] The minimum percentage of documents a
+ *                                            field must be present in to be listed if unindexed
+ * @return {Object}                           The result of the checks, with an entry per index key
+ *                                            in 'indexkeys' and an entry per frequently present
+ *                                            field without an index in 'unindexedfields'
+ */
+function checkIndexesAgainstSchema(indexes, summary, {rarePresence=10, frequentPresence=90} = {}) {
+  const schemaPaths = getIndexableSchemaPaths(summary);
+  const indexKeys = [];
+  const indexedPaths = [];
+  const wildcardPrefixes = [];
+
+  for (const index of indexes) {
+    const keyPaths = getIndexKeyPaths(index);
+    const keyInfos = keyPaths.map(keyPath => ({keyPath, ...(schemaPaths.byPath.get(keyPath) || {"presence": 0, "types": [], "arrayPaths": getArrayPathsOfKeyPath(keyPath, schemaPaths)})}));
+    indexedPaths.push(...keyPaths);
+    wildcardPrefixes.push(...[...Object.keys(index.key), ...Object.keys(index.weights || {})].filter(key => key.endsWith("$**")).map(key => key.slice(0, -3)));
+
+    for (const keyInfo of keyInfos) {
+      // Two keys are on parallel arrays if each is multikey on an array the other isn't
+      const isParallel = keyInfos.some(otherInfo =>
+        keyInfo.arrayPaths.some(arrayPath => !otherInfo.arrayPaths.includes(arrayPath)) &&
+        otherInfo.arrayPaths.some(arrayPath => !keyInfo.arrayPaths.includes(arrayPath))
+      );
+      const issues = [
+        ...(!schemaPaths.byPath.has(keyInfo.keyPath) ? ["missing"] : []),
+        ...((schemaPaths.byPath.has(keyInfo.keyPath) && (keyInfo.presence < rarePresence)) ? ["rare"] : []),
+        ...((keyInfo.types.filter(type => !["null", "undefined"].includes(type)).length > 1) ? ["multitype"] : []),
+        ...((keyInfo.arrayPaths.length > 0) ? ["multikey"] : []),
+        ...(isParallel ? ["parallelarrays"] : []),
+      ];
+
+      indexKeys.push({
+        "index": index.name,
+        "key": keyInfo.keyPath,
+        "presence": keyInfo.presence,
+        "types": keyInfo.types,
+        "multikey": keyInfo.arrayPaths.length > 0,
+        "issues": issues,
+      });
+    }
+  }
+
+  const unindexedFields = [...schemaPaths.byPath.entries()]
+    .filter(([path, pathInfo]) =>
+      (pathInfo.presence >= frequentPresence) &&
+      !pathInfo.types.every(type => type === "object") &&
+      !indexedPaths.includes(path) &&
+      !wildcardPrefixes.some(prefix => path.startsWith(prefix))
+    )
+    .map(([path, pathInfo]) => ({"field": path, "presence": pathInfo.presence, "types": pathInfo.types}));
+  unindexedFields.sort((fieldA, fieldB) => (fieldB.presence - fieldA.presence) || compareStrings(fieldA.field, fieldB.field));
+
+  return {"indexkeys": indexKeys, "unindexedfields": unindexedFields};
+}
+
+
+/**
+ * MongoDB Shell only: analyse the schema of every collection in a database (e.g. during a
+ * migration), running the pipeline generated by buildSchemaAnalysisPipeline() against each in
+ * turn, and consolidate the results into one report. Each collection's entry records its type,
+ * document count, average document size (in bytes) and summarised schema, or the error raised if
+ * it couldn't be analysed (e.g. due to a lack of privileges). The report also includes an index of
+ * the field names and data types which recur across collections, listing the collections and
+ * paths each appears at, to help spot shared entities and likely references between collections.
+ *
+ * @param {Object}  database                  The database to analyse, e.g. db or
+ *                                            db.getSiblingDB("sales")
+ * @param {Object}  [options]                 [OPTIONAL] The settings to control the analysis of
+ *                                            each collection (see buildSchemaAnalysisPipeline())
+ *                                            plus the following settings
+ * @param {Boolean} [options.includeViews=false] [OPTIONAL] Whether to also analyse views (which
+ *                                            run their own pipeline each time they're sampled)
+ * @param {Boolean} [options.includeTimeseries=false] [OPTIONAL] Whether to also analyse
+ *                                            time-series collections
+ * @param {Boolean} [options.includeSystem=false] [OPTIONAL] Whether to also analyse the database's
+ *                                            system collections (named 'system.*')
+ * @param {Array}   [options.excludeCollections=[]] [OPTIONAL] The names of collections to skip,
+ *                                            where a '*' matches any run of characters, e.g.
+ *                                            ["tmp_*", "*.archive"] (a RegExp is also accepted)
+ * @param {Object}  [options.sampleSizes={}]  [OPTIONAL] The number of documents to sample for
+ *                                            particular collections, keyed by collection name,
+ *                                            overriding the 'sampleSize' setting for them, e.g.
+ *                                            {"events": 50000, "settings": 0}
+ * @param {Number}  [options.minSharedCollections=2] [OPTIONAL] The minimum number of collections
+ *                                            a field name and data type must appear in to be
+ *                                            listed in the shared field index
+ * @return {Object}                           The report, containing the 'database' name, one
+ *                                            entry per collection analysed in 'collections' (in
+ *                                            name order) and the shared field index in
+ *                                            'sharedfields'
+ */
+function analyzeDatabaseSchemas(database, {includeViews=false, includeTimeseries=false, includeSystem=false, excludeCollections=[], sampleSizes={}, minSharedCollections=2, ...analysisOptions} = {}) {
+  const excludeRegex = getCollectionNamePatternsRegex(excludeCollections);
+  const collectionInfos = database.getCollectionInfos().filter(info =>
+    ((info.type === "collection") || ((info.type === "view") && includeViews) || ((info.type === "timeseries") && includeTimeseries)) &&
+    (includeSystem || !info.name.startsWith("system.")) &&
+    !(excludeRegex && excludeRegex.test(info.name))
+  );
+  collectionInfos.sort((infoA, infoB) => compareStrings(infoA.name, infoB.name));
+  const collections = [];
+
+  for (const info of collectionInfos) {
+    const collection = database.getCollection(info.name);
+    const sampleSizeSettings = (info.name in sampleSizes) ? {"sampleSize": sampleSizes[info.name]} : {};
+
+    // Carry on with the other collections if one can't be analysed, recording why
+    try {
+      collections.push({
+        "name": info.name,
+        "type": info.type,
+        ...getCollectionSizeStats(collection, info.type),
+        "summary": collection.aggregate(buildSchemaAnalysisPipeline({...analysisOptions, ...sampleSizeSettings}), {"allowDiskUse": true}).toArray(),
+      });
+    } catch (error) {
+      collections.push({"name": info.name, "type": info.type, "error": String((error && error.message) || error)});
+    }
+  }
+
+  return {
+    "database": database.getName(),
+    "collections": collections,
+    "sharedfields": buildSharedFieldIndex(collections.filter(collectionReport => !("error" in collectionReport)), minSharedCollections),
+  };
+}
+
+
+/**
+ * MongoDB Shell only: infer the likely references between the collections of a database (i.e.
+ * undocumented foreign keys) from the report produced by analyzeDatabaseSchemas(). Every field of
+ * each collection's summarised schema holding ObjectIds, strings or ints (including the elements
+ * of arrays, e.g. the ids held in 'tags') is a candidate, whose values are sampled from the
+ * collection and looked up by '_id' in each collection of the report whose '_id' holds the same
+ * data types (including the collection itself, for references to a parent document). A
+ * relationship is reported where at least 'minMatchRatio' percent of the distinct sampled values
+ * match an '_id', giving its 'cardinality' as 'one-to-one' where each source document references
+ * a single target document or 'one-to-many' where it holds an array of references.
+ *
+ * Note, fields holding small ints (e.g. quantities) may match int '_id' values by coincidence, so
+ * check the number of distinct values sampled ('sampledvalues') before trusting a relationship.
+ *
+ * @param {Object} database                   The database holding the collections, e.g. db or
+ *                                            db.getSiblingDB("sales")
+ * @param {Object} report                     The report generated by analyzeDatabaseSchemas() for
+ *                                            the database
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the inference
+ * @param {Number} [options.sampleSize=1000]  [OPTIONAL] The number of documents of each collection
+ *                                            to randomly sample values from (0 or null to use
+ *                                            every document)
+ * @param {Number} [options.minMatchRatio=50] [OPTIONAL] The minimum percentage of the distinct
+ *                                            sampled values which must match an '_id' of the
+ *                                            target collection for a relationship to be reported
+ * @return {Array}                            One element per likely relationship, giving the
+ *                                            'source' collection and the 'field' path holding
+ *                                            the references, the 'target' collection, the
+ *                                            'fieldtypes' of the references, the 'cardinality',
+ *                                            the number of distinct 'sampledvalues' and of
+ *                                            'matchedvalues', and the 'matchratio' percentage
+ */
+function inferCollectionReferences(database, report, {sampleSize=1000, minMatchRatio=50} = {}) {
+  const collectionReports = report.collections.filter(collectionReport => !("error" in collectionReport));
+  const idTypesByCollection = new Map(collectionReports.map(collectionReport => {
+    const idInfo = getIndexableSchemaPaths(collectionReport.summary).byPath.get("_id");
+    return [collectionReport.name, idInfo ? idInfo.types : []];
+  }));
+  const references = [];
+
+  for (const collectionReport of collectionReports) {
+    const candidates = getReferenceCandidateFields(collectionReport.summary);
+
+    if (candidates.length <= 0) {
+      continue;
+    }
+
+    // Sample the values of all the candidate fields from the same documents, each projected by its position
+    const sampledDocs = database.getCollection(collectionReport.name).aggregate([
+      ...(sampleSize ? [{"$sample": {"size": sampleSize}}] : []),
+      {"$project": {"_id": 0, ...Object.fromEntries(candidates.map((candidate, position) => [`f${position}`, `$${candidate.field}`]))}},
+    ], {"allowDiskUse": true}).toArray();
+
+    candidates.forEach((candidate, position) => {
+      const values = getDistinctReferenceValues(sampledDocs.map(doc => doc[`f${position}`]), candidate.fieldtypes);
+
+      if (values.length <= 0) {
+        return;
+      }
+
+      for (const [targetName, idTypes] of idTypesByCollection) {
+        // A field can't reference its own document's '_id'
+        if (((targetName === collectionReport.name) && (candidate.field === "_id")) || !candidate.fieldtypes.some(type => idTypes.includes(type))) {
+          continue;
+        }
+
+        const matchedValues = database.getCollection(targetName).countDocuments({"_id": {"$in": values}});
+        const matchRatio = roundTo2Places((matchedValues / values.length) * 100);
+
+        if ((matchedValues > 0) && (matchRatio >= minMatchRatio)) {
+          references.push({
+            "source": collectionReport.name,
+            "field": candidate.field,
+            "target": targetName,
+            "fieldtypes": candidate.fieldtypes,
+            "cardinality": candidate.cardinality,
+            "sampledvalues": values.length,
+            "matchedvalues": matchedValues,
+            "matchratio": matchRatio,
+          });
+        }
+      }
+    });
+  }
+
+  references.sort((refA, refB) => compareStrings(refA.source, refB.source) || compareStrings(refA.field, refB.field) || (refB.matchratio - refA.matchratio) || compareStrings(refA.target, refB.target));
+  return references;
+}
+
+
+/**
+ * Client-side reference implementation of extractSchema() which, rather than generating an
+ * aggregation expression, directly inspects documents held in memory (e.g. parsed from a
+ * mongoexport dump or an EJSON fixture), so no database is needed. For each document it produces
+ * exactly the same result as running the aggregation expression generated by extractSchema().
+ *
+ * @param {Array}  docs                       The documents to inspect
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the inspection
+ * @param {Number} [options.maxElements=500]  [OPTIONAL] The maximum number of sub-documents to
+ *                                            flatten per document (see extractSchema())
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Whether and how to collapse the
+ *                                            fields of map-like sub-documents (see extractSchema())
+ * @param {Array}  [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                            descend into (see extractSchema())
+ * @param {Array}  [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                            to descend into (see extractSchema())
+ * @param {Number} [options.maxDepth=100]     [OPTIONAL] The maximum depth of sub-document to
+ *                                            descend into (see extractSchema())
+ * @return {Array}                            One element per document, containing the 'content'
+ *                                            and 'objectsToProcessQueue' fields
+ */
+function extractSchemaFromDocuments(docs, {maxElements=500, ...extractOptions} = {}) {
+  const settings = getTraversalSettings(extractOptions);
+  return docs.map(doc => extractSchemaFromDocument(doc, maxElements, settings));
+}
+
+
+/**
+ * Client-side reference implementation of the pipeline generated by buildSchemaAnalysisPipeline()
+ * which directly inspects documents held in memory and produces the same summarised schema,
+ * without any sampling or filtering (all the documents provided are inspected).
+ *
+ * @param {Array}  docs                       The documents to inspect
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the inspection
+ * @param {Number} [options.maxElements=500]  [OPTIONAL] The maximum number of sub-documents to
+ *                                            flatten per document (see extractSchema())
+ * @param {Object|Boolean} [options.dynamicKeys=null] [OPTIONAL] Whether and how to collapse the
+ *                                            fields of map-like sub-documents (see extractSchema())
+ * @param {Array}  [options.includePaths=null] [OPTIONAL] Path patterns of the sub-documents to
+ *                                            descend into (see extractSchema())
+ * @param {Array}  [options.excludePaths=null] [OPTIONAL] Path patterns of the sub-documents not
+ *                                            to descend into (see extractSchema())
+ * @param {Number} [options.maxDepth=100]     [OPTIONAL] The maximum depth of sub-document to
+ *                                            descend into (see extractSchema())
+ * @param {Array}  [options.stats=["min","max","arraystats"]] [OPTIONAL] The names of the
+ *                                            statistics to compute for each data type of each
+ *                                            field (see buildSchemaAnalysisPipeline())
+ * @param {Number} [options.maxTopValues=5]   [OPTIONAL] The number of the most common values to
+ *                                            list (see buildSchemaAnalysisPipeline())
+ * @param {Number} [options.maxEnumValues=10] [OPTIONAL] The most distinct values for an enum
+ *                                            candidate (see buildSchemaAnalysisPipeline())
+ * @param {Object} [options.stringPatterns={}] [OPTIONAL] Extra named patterns to classify
+ *                                            strings against (see buildSchemaAnalysisPipeline())
+ * @param {Array}  [options.discriminators=null] [OPTIONAL] The paths of the fields which say
+ *                                            which variant each document holds, to also
+ *                                            summarise each variant (see
+ *                                            buildSchemaAnalysisPipeline())
+ * @param {Object|Boolean} [options.sensitiveData=null] [OPTIONAL] Whether and how to flag the
+ *                                            fields likely to hold personal data, hiding their
+ *                                            values (see buildSchemaAnalysisPipeline())
+ * @return {Array}                            The summarised schema, one element per field
+ */
+function summarizeSchemaFromDocuments(docs, {maxElements=500, stats=["min", "max", "arraystats"], maxTopValues=5, maxEnumValues=10, stringPatterns={}, discriminators=null, sensitiveData=null, ...extractOptions} = {}) {
+  const settings = getTraversalSettings(extractOptions);
+  const summaryState = createSchemaSummaryState(stats, {maxTopValues, maxEnumValues, stringPatterns, sensitiveData});
+
+  for (const doc of docs) {
+    addDocumentToSchemaSummaryState(summaryState, extractSchemaFromDocument(doc, maxElements, settings), discriminators ? getVariantOfDocument(doc, discriminators) : null);
+  }
+
+  return getSchemaSummaryFromState(summaryState);
+}
+
+
+/**
+ * Parse the text of an EJSON file (e.g. a mongoexport dump) into an array of documents. The text
+ * can either be a JSON array of documents or have one document per line. Extended JSON type
+ * wrappers (e.g. {"$oid": ...}, {"$date": ...}, {"$numberLong": ...}) are left in place and are
+ * recognised as their corresponding BSON types by the client-side functions. Plain JSON numbers
+ * are treated as an int or a double, so export with mongoexport's '--jsonFormat=canonical' option
+ * to keep the numeric types of relaxed EJSON's doubles and longs.
+ *
+ * @param {String} text                       The EJSON text to parse
+ * @return {Array}                            The parsed documents
+ */
+function parseEjsonDocuments(text) {
+  if (text.trim().startsWith("[")) {
+    return JSON.parse(text);
+  }
+
+  return text.split(/\r?\n/).filter(line => line.trim().length > 0).map(line => JSON.parse(line));
+}
+
+
+/**
+ * Node.js only: summarise the schema of the EJSON documents read from a stream (e.g. a file read
+ * stream or stdin), one document per line, as produced by mongoexport, without having to hold all
+ * the documents in memory at once (a stream holding a single JSON array of documents is also
+ * accepted, but is parsed in one go).
+ *
+ * @param {Object} inputStream                The readable stream of EJSON text
+ * @param {Object} [options]                  [OPTIONAL] The settings to control the inspection
+ *                                            (see summarizeSchemaFromDocuments())
+ * @return {Promise}                          Resolves to the summarised schema, one element per
+ *                                            field
+ */
+function summarizeSchemaFromEjsonStream(inputStream, {maxElements=500, stats=["min", "max", "arraystats"], maxTopValues=5, maxEnumValues=10, stringPatterns={}, discriminators=null, sensitiveData=null, ...extractOptions} = {}) {
+  return new Promise((resolve, reject) => {
+    const settings = getTraversalSettings(extractOptions);
+    const summaryState = createSchemaSummaryState(stats, {maxTopValues, maxEnumValues, stringPatterns, sensitiveData});
+    const lines = require("readline").createInterface({"input": inputStream, "crlfDelay": Infinity});
+    let arrayText = null;
+    let lineNumber = 0;
+    let failed = false;
+
+    const addDocument = doc => addDocumentToSchemaSummaryState(summaryState, extractSchemaFromDocument(doc, maxElements, settings), discriminators ? getVariantOfDocument(doc, discriminators) : null);
+
+    lines.on("line", line => {
+      lineNumber++;
+
+      if (failed) {
+        return;
+      }
+
+      try {
+        if (arrayText !== null) {
+          arrayText += `${line}\n`;
+        } else if (line.trim().startsWith("[")) {
+          // The whole stream is one JSON array so collect it all before parsing
+          arrayText = `${line}\n`;
+        } else if (line.trim().length > 0) {
+          addDocument(JSON.parse(line));
+        }
+      } catch (error) {
+        // Closing the reader emits 'close' straight away so flag the failure first to stop the
+        // close handler resolving with a partial summary
+        failed = true;
+        reject(`summarizeSchemaFromEjsonStream - unable to process line ${lineNumber} of the input: ${error}`);
+        lines.close();
+      }
+    });
+
+    lines.on("close", () => {
+      if (failed) {
+        return;
+      }
+
+      try {
+        if (arrayText !== null) {
+          JSON.parse(arrayText).forEach(addDocument);
+        }
+
+        resolve(getSchemaSummaryFromState(summaryState));
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    inputStream.on("error", reject);
+  });
+}
+
+
+///////////////////////////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////// SUPPORTING FUNCTIONS //////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////////////////////////
+
+
+/**
+ * Macro to generate the aggregation expressions to take as many queued objects from the front of
+ * the queue as 'maxElements' still allows (which, as the queue is filled breadth first, will be
+ * every remaining object at the same level of nesting), capture the schema metadata of each of
+ * them in the result array and add all their direct children (if any) to the end of the queue
+ */
+function processNextLevelOfQueue(currentResultsArray, objectsToProcessQueue, maxElements, settings=getTraversalSettings()) {
+  return {
+    "$let": {
+      "vars": {
+        "queueSize": {"$size": objectsToProcessQueue},
+        "resultsSize": {"$size": currentResultsArray},
+      },
+      "in": {
+        "$let": {
+          "vars": {
+            "processCount": {"$min": ["$$queueSize", {"$max": [0, {"$subtract": [maxElements, "$$resultsSize"]}]}]},
+          },
+          "in": {
+            "$cond": [
+              // Nothing more to do if the queue is empty or the maximum number of elements has been reached, so avoid copying the arrays
+              {"$eq": ["$$processCount", 0]},
+              {"content": currentResultsArray, "objectsToProcessQueue": objectsToProcessQueue},
               {
-                fieldname: 'd',
-                fieldvalue: '<array>',
-                fieldtype: 'array'
+                "$let": {
+                  "vars": {
+                    "objectsToProcess": {"$slice": [objectsToProcessQueue, "$$processCount"]},
+                  },
+                  "in": {
+                    // Add the metadata of the objects taken from the queue to the result array
+                    "content": {"$concatArrays": [currentResultsArray, captureQueuedObjectsSchema("$$objectsToProcess", "$$resultsSize", settings)]},
+                    // Remove the objects taken from the front of the queue and add their child objects to the end
+                    "objectsToProcessQueue": {"$concatArrays": [
+                      {"$slice": [objectsToProcessQueue, {"$subtract": ["$$processCount", "$$queueSize"]}]},
+                      getChildQueueMembersOfObjects("$$objectsToProcess", settings),
+                    ]},
+                  }
+                }
               },
-              {
-                fieldname: 'e',
-                fieldvalue: '<array>',
-                fieldtype: 'array'
-              }
             ]
           }
-        ]
-      ]
+        }
+      }
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expressions to capture the schema metadata, including path,
+ * data type and relative position data, of each of the given objects taken from the queue, where
+ * 'firstResultPosition' is the position in the result array the first object will occupy
+ */
+function captureQueuedObjectsSchema(objects, firstResultPosition, settings=getTraversalSettings()) {
+  return {
+    "$map": {
+      "input": {"$range": [0, {"$size": objects}]},
+      "as": "position",
+      "in": {
+        "$let": {
+          "vars": {
+            "currentObject": {"$arrayElemAt": [objects, "$$position"]},
+          },
+          "in": {
+            "$arrayToObject": [
+              {"$concatArrays": buildArrayOfSchemaMetadataFields("$$currentObject", {"$add": [firstResultPosition, "$$position"]}, settings)}
+            ]
+          }
+        }
+      }
+    }
+  };
+}
+
+
+/**
+ * Get the text of the warning recorded when a document has more sub-documents than 'maxElements'
+ */
+function getMaxElementsWarningMessage() {
+  return "The 'maxElements' parameter wasn't set to a large enough value to fully traverse the document's nested content";
+}
+
+
+/**
+ * Macro to generate the aggregation expression to describe a document which couldn't be fully
+ * traversed within 'maxElements' iterations, recording the number of queued sub-documents left
+ * unprocessed, their distinct paths (in the order queued), the depth reached and the number of
+ * sub-documents the document has in total, which is the smallest 'maxElements' value that would
+ * have been sufficient
+ */
+function buildTruncationRecord(content, objectsToProcessQueue, maxElements, settings) {
+  return {
+    "WARNING": getMaxElementsWarningMessage(),
+    "unprocessed": {"$size": objectsToProcessQueue},
+    "unprocessedpaths": {"$reduce": {
+      "input": `${objectsToProcessQueue}.subdocpath`,
+      "initialValue": [],
+      "in": {"$cond": [{"$in": ["$$this", "$$value"]}, "$$value", {"$concatArrays": ["$$value", ["$$this"]]}]},
+    }},
+    "depthreached": {"$max": `${content}.depth`},
+    "requiredmaxelements": {"$add": [maxElements, countQueuedObjectsAndDescendants(objectsToProcessQueue, settings)]},
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expression to get the number of levels of nesting a document
+ * can have, bounding the loop over the levels by the document's size rather than always running
+ * 'maxDepth' iterations for documents with few levels. Each level of nesting of a sub-document or
+ * array takes at least 7 bytes of BSON (a type byte, an empty field name's terminator and an empty
+ * sub-document's 5 bytes), so a document with N levels below the root is at least 5 + 7N bytes.
+ */
+function buildMaxNestingLevelsExpression(doc, settings) {
+  return {"$min": [settings.maxDepth + 1, {"$ceil": {"$divide": [{"$bsonSize": doc}, 7]}}]};
+}
+
+
+/**
+ * Macro to generate the aggregation expression to count the objects in the queue plus all the
+ * objects nested below them which would be added to the queue, one level of nesting at a time
+ */
+function countQueuedObjectsAndDescendants(objectsToProcessQueue, settings) {
+  return {
+    "$let": {
+      "vars": {
+        "counted": {
+          "$reduce": {
+            // Each level of nesting below the queued objects needs one iteration
+            "input": {"$range": [0, {"$add": [settings.maxDepth, 1]}]},
+            "initialValue": {"count": 0, "objects": objectsToProcessQueue},
+            "in": {
+              "count": {"$add": ["$$value.count", {"$size": "$$value.objects"}]},
+              "objects": getChildQueueMembersOfObjects("$$value.objects", settings),
+            }
+          }
+        },
+      },
+      "in": "$$counted.count",
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expressions to build the queue members for the direct child
+ * objects (if any) of each of the given objects taken from the queue, collected together in one
+ * array, ready to be added to the end of the queue
+ */
+function getChildQueueMembersOfObjects(objects, settings=getTraversalSettings()) {
+  return {
+    "$reduce": {
+      "input": objects,
+      "initialValue": [],
+      "in": {"$concatArrays": ["$$value", getChildQueueMembers("$$this", settings)]},
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expressions to build the queue members for the direct child
+ * objects (if any) of an object taken from the queue, ready to be added to the end of the queue
+ */
+function getChildQueueMembers(queueMember, settings=getTraversalSettings()) {
+  const useGetField = settings.useGetField;
+  const subdoc = getFieldValue("subdoc", "$$currentObject", useGetField);
+
+  return {
+    "$let": {
+      "vars": {
+        "currentObject": queueMember,
+      },
+      "in": {
+        "$let": {
+          "vars": { 
+            // Get current object's metadata
+            "currentObjectChildren": settings.dynamicKeys
+              ? getNestedChildrenOfSubdoc(subdoc, getFieldValue("dynamickeys", "$$currentObject", useGetField), settings.dynamicKeys.maxValues)
+              : getNestedChildrenOfSubdoc(subdoc),
+            "currentObjectIdx": getFieldValue("index", "$$currentObject", useGetField),
+            "currentSubdocPath": getFieldValue("subdocpath", "$$currentObject", useGetField),
+            "newDepthNumber": {"$add": [getFieldValue("depth", "$$currentObject", useGetField), 1]},
+          },
+          "in": {
+            "$cond": [
+              // Don't descend past the maximum depth requested (MongoDB supports "100 levels of nesting for BSON documents" so no point in going beyond that anyway)
+              {"$and": [{"$isArray": "$$currentObjectChildren"}, {"$lte": ["$$newDepthNumber", settings.maxDepth]}]},
+              // Loop through each field which is either a chold object or array of objects, adding each object to the queue
+              constructQueueMember("$$currentObjectChildren", "$$currentObjectIdx", "$$currentSubdocPath", "$$newDepthNumber", settings),                
+              [],
+            ]
+          }
+        }
+      }
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the aggregations expression to assembling all the fields for the schema
+ * metadata for an object (which will be either the root document or one of potentially many
+ * sub-documents
+ */
+function buildArrayOfSchemaMetadataFields(object, currentResultPosition, settings=getTraversalSettings()) {
+  const useGetField = settings.useGetField;
+  // The fields of a map-like sub-document are all reported under one placeholder name, keeping each real key alongside
+  const isDynamicKeysObject = settings.dynamicKeys ? getFieldValue("dynamickeys", object, useGetField) : false;
+
+  return [
+    // Capture the top level metadata for the object
+    [{"k": "id", "v": currentResultPosition}],
+    [{"k": "depth", "v": getFieldValue("depth", object, useGetField)}],
+    [{"k": "index", "v": getFieldValue("index", object, useGetField)}],
+    [{"k": "subdocpath", "v": getFieldValue("subdocpath", object, useGetField)}],                  
+    
+    // Capture the schema for each field for this new object with its name, value and type
+    [{"k": "schema", "v": {
+      "$map": {
+        "input": {"$objectToArray": getFieldValue("subdoc", object, useGetField)},
+        "as": "field",
+        "in": {
+          "fieldname": isDynamicKeysObject ? {"$cond": [isDynamicKeysObject, "<dynamickey>", "$$field.k"]} : "$$field.k",
+          ...(isDynamicKeysObject ? {"dynamickey": {"$cond": [isDynamicKeysObject, "$$field.k", "$$REMOVE"]}} : {}),
+          "fieldvalue": {"$switch": {
+                          "branches": [
+                            {"case": {"$eq": [{"$type": "$$field.v"}, "array"]}, "then": "<array>"},
+                            {"case": {"$eq": [{"$type": "$$field.v"}, "object"]}, "then": "<object>"},
+                          ],
+                          "default": "$$field.v",
+                        }},                                                                                                     
+          "fieldtype": {"$type": "$$field.v"},                                
+          // For an array also capture its length and whether its elements are objects, scalars or a mix of both
+          "arraylength": {"$cond": [{"$isArray": "$$field.v"}, {"$size": "$$field.v"}, "$$REMOVE"]},
+          "arraycontent": {"$cond": [{"$isArray": "$$field.v"}, getArrayContentKind("$$field.v"), "$$REMOVE"]},
+        }
+      }
+    }}], 
+  ];
+}
+
+
+/**
+ * Macro to generate the aggregation expression to categorise the elements of an array as either
+ * 'empty', 'objects' (all elements are objects), 'scalars' (no elements are objects) or 'mixed'
+ */
+function getArrayContentKind(array) {
+  return {
+    "$let": {
+      "vars": {
+        "elementCount": {"$size": array},
+        "objectCount": {"$size": {"$filter": {"input": array, "cond": {"$eq": [{"$type": "$$this"}, "object"]}}}},
+      },
+      "in": {
+        "$switch": {
+          "branches": [
+            {"case": {"$eq": ["$$elementCount", 0]}, "then": "empty"},
+            {"case": {"$eq": ["$$objectCount", "$$elementCount"]}, "then": "objects"},
+            {"case": {"$eq": ["$$objectCount", 0]}, "then": "scalars"},
+          ],
+          "default": "mixed",
+        }
+      }
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expressions to find each field of the given object that maps
+ * to a value which is an array or a sub-document (object) and return only those fields, collected
+ * together in an array. If the optional 'isDynamicKeysObject' expression evaluates to true, the
+ * object is map-like, so each child is keyed '<dynamickey>' and only the children of its first
+ * 'maxValues' fields are returned (or all of them if 'maxValues' is null)
+ */
+function getNestedChildrenOfSubdoc(subdoc, isDynamicKeysObject=false, maxValues=null) {
+  const fields = {"$objectToArray": subdoc};
+  const childKey = isDynamicKeysObject ? {"$cond": [isDynamicKeysObject, "<dynamickey>", "$$this.k"]} : "$$this.k";
+
+  return {
+    // Loop through each field in the current object
+    "$reduce": {
+      "input": (isDynamicKeysObject && (maxValues !== null)) ? {"$cond": [isDynamicKeysObject, {"$slice": [fields, maxValues]}, fields]} : fields,
+      "initialValue": [],
+      "in": {
+        "$concatArrays": [
+          "$$value",
+          {"$switch": {
+            "branches": [
+              // If there's one object hanging off this field, just add that with additional metadata
+              {"case": {"$eq": [{"$type": "$$this.v"}, "object"]}, "then": [{
+                "key" : childKey, 
+                "value" : "$$this.v",
+              }]},
+              // If there's an array hanging off this field, unpack and add each array object with additional metadata
+              {"case": {"$eq": [{"$type": "$$this.v"}, "array"]}, "then": {
+                "$map": {
+                  "input": "$$this.v",
+                  "as": "element",
+                  "in": {
+                    "key" : childKey,                                                                
+                    "value" : {"$cond": [{"$eq": [{"$type": "$$element"}, "object"]}, "$$element", {"<arrayitem>": "$$element"}]},
+                  }
+                }
+              }},
+            ],
+            // Otherwise this field does not correspond to an object or array so don't add the field in the result array
+            "default": [], 
+          }}            
+        ]
+      }
+    }
+  };
+}
+
+
+/**
+ * Macro to generate the MongoDB Aggregation expressions to create a wrapper object for adding to
+ * the queue capturing its depth, index, path and, hanging off a 'subdoc' field, the content itself
+ */
+function constructQueueMember(currentObjectChildren, currentObjectIdx, currentSubdocPath, newDepthNumber, settings=getTraversalSettings()) {
+  const useGetField = settings.useGetField;
+  const childSubdocPath = {"$concat": [currentSubdocPath, "$$subdocPathSeperator", getFieldValue("key", "$$childObject", useGetField)]};
+  const queueMember = [{
+    // Add metadata to the object being added to the list including the actual object itself (keyed 'subdoc')
+    "depth": newDepthNumber,
+    "index": {"$concat": [currentObjectIdx, "_", {"$toString": "$$this"}]},
+    "subdocpath": childSubdocPath,
+    "subdoc": getFieldValue("value", "$$childObject", useGetField),                    
+    // Flag whether the object is map-like, so its fields get collapsed when it's inspected
+    ...(settings.dynamicKeys ? {"dynamickeys": isDynamicKeysObjectExpression(getFieldValue("value", "$$childObject", useGetField), settings.dynamicKeys)} : {}),
+  }];
+
+  return {
+    "$reduce": { 
+      "input": {"$range": [0, {"$size": currentObjectChildren}]},
+      "initialValue": [],
+      "in": {
+        "$let": {
+          "vars": { 
+            "childObject": {"$arrayElemAt": [currentObjectChildren, "$$this"]},
+            "subdocPathSeperator": {"$cond": [{"$gt": [{"$strLenCP": currentSubdocPath}, 0]}, ".", ""]},                        
+          },
+          "in": {              
+            "$concatArrays": [                            
+              "$$value",
+              // Skip any object whose path has been excluded (or not included) from being inspected
+              isPathFiltered(settings) ? {"$cond": [isPathToInspectExpression(childSubdocPath, settings), queueMember, []]} : queueMember,
+            ]                
+          }
+        }                                
+      }
+    },                  
+  };
+}
+
+
+/**
+ * Resolve the settings which control how extractSchema() traverses each document, from the
+ * options it was given, ready to be passed to each supporting macro
+ */
+function getTraversalSettings({serverVersion="5.0", dynamicKeys=null, includePaths=null, excludePaths=null, maxDepth=100} = {}) {
+  // MongoDB supports "100 levels of nesting for BSON documents" so there's never a need to go deeper
+  if (!Number.isInteger(maxDepth) || (maxDepth < 0) || (maxDepth > 100)) {
+    throw `getTraversalSettings - 'maxDepth' must be a whole number from 0 to 100, but was set to '${maxDepth}'`;
+  }
+
+  return {
+    "useGetField": isGetFieldSupported(serverVersion),
+    "dynamicKeys": dynamicKeys ? getDynamicKeysSettings((dynamicKeys === true) ? {} : dynamicKeys) : null,
+    "includePathsRegex": (includePaths && (includePaths.length > 0)) ? getPathPatternsRegex(includePaths, true) : null,
+    "excludePathsRegex": (excludePaths && (excludePaths.length > 0)) ? getPathPatternsRegex(excludePaths, false) : null,
+    "maxDepth": maxDepth,
+  };
+}
+
+
+/**
+ * Convert a list of sub-document path patterns into one regular expression which matches the path
+ * of any sub-document at or below any of the patterns' paths. Each pattern is a dot-separated path
+ * where a '*' matches any run of characters within one path segment (e.g. "payloads.*.raw" or
+ * "audit*"). If 'matchAncestors' is true, the regular expression also matches the paths of the
+ * sub-documents above each pattern's path, which need to be descended through to reach it
+ */
+function getPathPatternsRegex(patterns, matchAncestors) {
+  const escapeSegment = segment => segment.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^.]*");
+  const alternatives = [];
+
+  for (const pattern of patterns) {
+    const segments = pattern.split(".").map(escapeSegment);
+    alternatives.push(`${segments.join("\\.")}(\\..*)?`);
+
+    if (matchAncestors) {
+      for (let segmentCount = 1; segmentCount < segments.length; segmentCount++) {
+        alternatives.push(segments.slice(0, segmentCount).join("\\."));
+      }
+    }
+  }
+
+  return `^(${alternatives.join("|")})$`;
+}
+
+
+/**
+ * Determine whether any include or exclude path patterns have been set in the given traversal
+ * settings
+ */
+function isPathFiltered(settings) {
+  return (settings.includePathsRegex !== null) || (settings.excludePathsRegex !== null);
+}
+
+
+/**
+ * Macro to generate the aggregation expression to determine whether the sub-document at the given
+ * path should be inspected, according to the include and exclude path patterns of the settings
+ */
+function isPathToInspectExpression(subdocPath, settings) {
+  return {"$and": [
+    ...((settings.includePathsRegex !== null) ? [{"$regexMatch": {"input": subdocPath, "regex": settings.includePathsRegex}}] : []),
+    ...((settings.excludePathsRegex !== null) ? [{"$not": [{"$regexMatch": {"input": subdocPath, "regex": settings.excludePathsRegex}}]}] : []),
+  ]};
+}
+
+
+
+/**
+ * Resolve the settings for detecting map-like sub-documents, whose keys are data rather than
+ * field names. A sub-document is map-like if it has at least 'minKeys' fields (set to null to not
+ * detect by count) or if every one of its keys matches one of the 'patterns', where each pattern
+ * is either the name of one of the built-in patterns ("date", "objectid", "uuid" or "number") or
+ * a custom regular expression (as a string or RegExp). Only the first 'maxValues' values of each
+ * map-like sub-document are descended into (set to null to descend into all of them), so large
+ * maps don't exhaust the 'maxElements' budget
+ */
+function getDynamicKeysSettings({minKeys=50, patterns=["date", "objectid", "uuid", "number"], maxValues=10} = {}) {
+  const builtInPatterns = {
+    "date": "^[0-9]{4}-[0-9]{2}(-[0-9]{2})?([T ][0-9]{2}:[0-9]{2}(:[0-9]{2}(\\.[0-9]+)?)?(Z|[+-][0-9]{2}:?[0-9]{2})?)?$",
+    "objectid": "^[0-9a-fA-F]{24}$",
+    "uuid": "^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$",
+    "number": "^-?[0-9]+(\\.[0-9]+)?$",
+  };
+
+  // A single key object can't be told apart from a normal sub-document by its size, and would match every array item wrapper
+  if ((minKeys !== null) && (minKeys < 2)) {
+    throw `getDynamicKeysSettings - 'minKeys' must be at least 2 (or null), but was set to '${minKeys}'`;
+  }
+
+  return {
+    "minKeys": minKeys,
+    "patterns": patterns.map(pattern => (pattern instanceof RegExp) ? pattern.source : (builtInPatterns[pattern] || pattern)),
+    "maxValues": maxValues,
+  };
+}
+
+
+/**
+ * Macro to generate the aggregation expression to determine whether an object is map-like,
+ * according to the settings resolved by getDynamicKeysSettings()
+ */
+function isDynamicKeysObjectExpression(object, dynamicKeys) {
+  const conditions = [];
+
+  if (dynamicKeys.minKeys !== null) {
+    conditions.push({"$gte": [{"$size": "$$keys"}, dynamicKeys.minKeys]});
+  }
+
+  if (dynamicKeys.patterns.length > 0) {
+    conditions.push({"$and": [
+      {"$gt": [{"$size": "$$keys"}, 0]},
+      {"$allElementsTrue": [{"$map": {
+        "input": "$$keys",
+        "as": "key",
+        "in": {"$or": dynamicKeys.patterns.map(pattern => ({"$regexMatch": {"input": "$$key", "regex": pattern}}))},
+      }}]},
+    ]});
+  }
+
+  return {
+    "$let": {
+      "vars": {
+        "keys": {"$map": {"input": {"$objectToArray": object}, "in": "$$this.k"}},
+      },
+      "in": {"$or": conditions},
+    }
+  };
+}
+
+
+/**
+ * Determine whether the given MongoDB server version supports the $getField operator (5.0+)
+ */
+function isGetFieldSupported(serverVersion) {
+  return parseInt(String(serverVersion).split(".")[0], 10) >= 5;
+}
+
+
+/**
+ * Macro to generate the aggregation expression to get the value of a named field of an object,
+ * using $getField where supported, or otherwise using a dotted variable/field path, which is
+ * equivalent for the simple field names used internally by the schema extraction
+ */
+function getFieldValue(fieldName, object, useGetField=true) {
+  if (useGetField) {
+    return {"$getField": {"field": fieldName, "input": object}};
+  } else if ((typeof object === "string") && object.startsWith("$")) {
+    return `${object}.${fieldName}`;
+  } else {
+    return {"$let": {"vars": {"object": object}, "in": `$$object.${fieldName}`}};
+  }
+}
+
+
+/**
+ * Macro to generate the aggregation stages to take the output of extractSchema() for many
+ * documents and summarise it, grouping by sub-document path, field name and field type, and then
+ * by path and field name, so there is one result per field listing each type seen with its stats.
+ * Each result also records how many times the field was seen ('count'), how many distinct
+ * documents contained it ('documents'), how many sub-document instances exist at its path
+ * ('pathinstances') and the percentage of those instances in which the field is present
+ * ('presence'), to help distinguish required fields from optional ones. A '<dynamickey>' field
+ * (see extractSchema()) also lists a sample of the real keys it represents ('samplekeys'). If any
+ * documents couldn't be fully traversed within 'maxElements', the first result instead contains a
+ * WARNING with the number of truncated documents and the smallest 'maxElements' value which would
+ * have been sufficient for all of them ('truncateddocuments' and 'suggestedmaxelements'). Each
+ * input document may also have a 'docid' field (e.g. the _id of the document it was extracted
+ * from), giving the stats which rank values a stable order to count their occurrences in. With
+ * 'byVariant' set, each input document must also have a 'variant' field (see
+ * getVariantExpression()) and the overall results are followed by a set of results for each
+ * variant, marked with the 'variant' and flagging the fields no other variant has ('variantonly').
+ * With 'sensitiveData' set, the fields likely to hold personal data are flagged and their values
+ * hidden (see buildSchemaAnalysisPipeline())
+ */
+function buildSchemaSummaryStages(stats=["min", "max", "arraystats"], {byVariant=false, sensitiveData=null, ...statsSettings} = {}) {
+  const statDefinitions = getSchemaSummaryStats(statsSettings);
+  const sensitiveSettings = getSensitiveDataSettings(sensitiveData);
+  const sensitiveCategories = sensitiveSettings ? sensitiveSettings.categories : [];
+  let statStages = [];
+  let accumulators = {};
+  let outputs = {};
+
+  for (const stat of stats) {
+    if (!(stat in statDefinitions)) {
+      throw `buildSchemaSummaryStages - unknown stat '${stat}', supported stats are: ${Object.keys(statDefinitions).join(", ")}`;
+    }
+
+    statStages = [...statStages, ...(statDefinitions[stat].stages || [])];
+    accumulators = {...accumulators, ...statDefinitions[stat].accumulators};
+    outputs = {...outputs, ...statDefinitions[stat].outputs};
+  }
+
+  return [
+    // Note the names of the fields already seen in earlier sub-documents of the same document at the same path (e.g. in earlier
+    // elements of an array), so each field is only counted once towards the number of documents containing it
+    // Also add a placeholder sub-document (with a null path) to each truncated document, so the truncated documents get counted
+    {"$set": {
+      "content": {"$concatArrays": [
+        {"$map": {
+          "input": {"$range": [0, {"$size": "$content"}]},
+          "as": "position",
+          "in": {"$let": {
+            "vars": {"subdoc": {"$arrayElemAt": ["$content", "$$position"]}},
+            "in": {"$mergeObjects": ["$$subdoc", {"earlierfieldnames": {"$cond": [
+              {"$eq": [{"$indexOfArray": ["$content.subdocpath", "$$subdoc.subdocpath"]}, "$$position"]},
+              [],
+              {"$reduce": {
+                "input": {"$filter": {"input": {"$slice": ["$content", "$$position"]}, "as": "earlier", "cond": {"$eq": ["$$earlier.subdocpath", "$$subdoc.subdocpath"]}}},
+                "initialValue": [],
+                "in": {"$setUnion": ["$$value", "$$this.schema.fieldname"]},
+              }},
+            ]}}]},
+          }},
+        }},
+        {"$cond": [
+          {"$eq": [{"$type": "$truncation"}, "object"]},
+          [{"subdocpath": null, "schema": [], "earlierfieldnames": [], "requiredmaxelements": "$truncation.requiredmaxelements"}],
+          [],
+        ]},
+      ]},
+    }},
+
+    // Get one record per sub-document of each document
+    {"$unwind":
+      "$content"
+    },
+
+    // Add a marker to each sub-document's fields so the number of sub-document instances at each path also gets counted
+    // Also note the first key of a map-like sub-document, so each instance of a '<dynamickey>' field is only counted once towards its presence
+    {"$set": {
+      "content.schema": {"$concatArrays": [[{"fieldname": null}], "$content.schema"]},
+      "content.firstdynamickey": {"$first": "$content.schema.dynamickey"},
+    }},
+
+    // Get one record per field of each sub-document of each document
+    {"$unwind":
+      "$content.schema"
+    },
+
+    // Count each field of each document once towards the overall summary (a null variant) and once towards its variant's summary
+    ...(byVariant ? [
+      {"$set": {"variant": [null, "$variant"]}},
+      {"$unwind": "$variant"},
+    ] : []),
+
+    // Prepare the values needed by any of the stats which can't just be accumulated by a $group stage
+    ...statStages,
+
+    // Optionally note which category of personal data each string or number value looks like
+    ...(sensitiveSettings ? [
+      {"$set": {"sensitivecategory": buildSensitiveValueCategoryExpression(sensitiveCategories, "$content.schema.fieldvalue")}},
+    ] : []),
+
+    // Gather the stats for each data type seen for each field in each sub-document path
+    {"$group": {
+      "_id": {"variant": "$variant", "subdocpath": "$content.subdocpath", "fieldname": "$content.schema.fieldname", "fieldtype": "$content.schema.fieldtype"},
+      "count": {"$sum": 1},
+      "instances": {"$sum": {"$cond": [{"$eq": ["$content.schema.dynamickey", "$content.firstdynamickey"]}, 1, 0]}},
+      "documents": {"$sum": {"$cond": [
+        {"$and": [
+          {"$not": [{"$in": ["$content.schema.fieldname", "$content.earlierfieldnames"]}]},
+          {"$eq": ["$content.schema.dynamickey", "$content.firstdynamickey"]},
+        ]},
+        1,
+        0,
+      ]}},
+      "samplekeys": {"$addToSet": "$content.schema.dynamickey"},
+      "requiredmaxelements": {"$max": "$content.requiredmaxelements"},
+      ...accumulators,
+      ...(sensitiveSettings ? getSensitiveCountAccumulators(sensitiveCategories, {
+        "values": {"$cond": [{"$in": ["$content.schema.fieldtype", ["string", ...getSensitiveNumberTypes()]]}, 1, 0]},
+        "matches": ({category}) => ({"$cond": [{"$eq": ["$sensitivecategory", category]}, 1, 0]}),
+      }) : {}),
+    }},
+
+    // Ensure each field's types are listed most common first (and in a predictable order for ties)
+    {"$sort": {
+      "count": -1,
+      "_id.fieldtype": 1,
+    }},
+
+    // Bring together all the data types seen for each field in each sub-document path
+    {"$group": {
+      "_id": {"variant": "$_id.variant", "subdocpath": "$_id.subdocpath", "fieldname": "$_id.fieldname"},
+      "count": {"$sum": "$count"},
+      "instances": {"$sum": "$instances"},
+      "documents": {"$sum": "$documents"},
+      "samplekeys": {"$push": "$samplekeys"},
+      "requiredmaxelements": {"$max": "$requiredmaxelements"},
+      ...(sensitiveSettings ? getSensitiveCountAccumulators(sensitiveCategories, {
+        "values": "$sensitivevalues",
+        "matches": (_, index) => `$sensitivematches${index}`,
+      }) : {}),
+      "fieldtypes": {"$push": {
+        "fieldtype": "$_id.fieldtype",
+        "count": "$count",
+        ...outputs,
+      }},
+    }},
+
+    // Bring together all the fields for each sub-document path, to obtain the path's instance count from its marker
+    {"$group": {
+      "_id": {"variant": "$_id.variant", "subdocpath": "$_id.subdocpath"},
+      "pathinstances": {"$sum": {"$cond": [{"$eq": ["$_id.fieldname", null]}, "$count", 0]}},
+      "fields": {"$push": "$$ROOT"},
+    }},
+
+    {"$unwind":
+      "$fields"
+    },
+
+    // Only keep the real fields, plus the truncated documents' placeholder (just the overall one, if there are variants)
+    {"$match": {"$or": [
+      {"fields._id.fieldname": {"$ne": null}},
+      {"fields._id.subdocpath": null, "fields._id.variant": null},
+    ]}},
+
+    // Count how many variants have each field, to spot the fields unique to one variant
+    ...(byVariant ? [
+      {"$group": {
+        "_id": {"subdocpath": "$fields._id.subdocpath", "fieldname": "$fields._id.fieldname"},
+        "variantcount": {"$sum": {"$cond": [{"$eq": ["$fields._id.variant", null]}, 0, 1]}},
+        // Each variant's summary of a field is classified by the overall summary's counts, so no variant can reveal the values of a flagged field
+        ...(sensitiveSettings ? {"sensitivecounts": {"$max": {"$cond": [{"$eq": ["$fields._id.variant", null]}, getSensitiveCountsExpression(sensitiveCategories), null]}}} : {}),
+        "rows": {"$push": "$$ROOT"},
+      }},
+
+      {"$unwind":
+        "$rows"
+      },
+
+      {"$replaceWith": {"$mergeObjects": ["$rows", {"variantcount": "$variantcount", ...(sensitiveSettings ? {"sensitivecounts": "$sensitivecounts"} : {})}]}},
+    ] : []),
+
+    // List the overall summary first, followed by the summary of each variant (if any)
+    {"$sort": {
+      "fields._id.variant": 1,
+      "fields._id.subdocpath": 1,
+      "fields._id.fieldname": 1,
+    }},
+
+    // Output a summary of the truncated documents (if any) first, followed by the summary of each field
+    {"$replaceWith": {"$cond": [
+      {"$eq": ["$fields._id.subdocpath", null]},
+      {
+        "WARNING": getMaxElementsWarningMessage(),
+        "truncateddocuments": "$fields.count",
+        "suggestedmaxelements": "$fields.requiredmaxelements",
+      },
+      {
+        "variant": {"$ifNull": ["$fields._id.variant", "$$REMOVE"]},
+        "path": "$fields._id.subdocpath",
+        "field": "$fields._id.fieldname",
+        "count": "$fields.count",
+        "documents": "$fields.documents",
+        "pathinstances": "$pathinstances",
+        "presence": {"$round": [{"$multiply": [{"$divide": ["$fields.instances", "$pathinstances"]}, 100]}, 2]},
+        // For a variant's summary, flag whether no other variant has the field
+        "variantonly": {"$cond": [{"$eq": ["$fields._id.variant", null]}, "$$REMOVE", {"$eq": ["$variantcount", 1]}]},
+        // For a '<dynamickey>' field, list some of the real keys it stands for
+        "samplekeys": {"$let": {
+          "vars": {"keys": {"$filter": {
+            "input": {"$reduce": {"input": "$fields.samplekeys", "initialValue": [], "in": {"$setUnion": ["$$value", "$$this"]}}},
+            "as": "key",
+            "cond": {"$eq": [{"$type": "$$key"}, "string"]},
+          }}},
+          "in": {"$cond": [{"$gt": [{"$size": "$$keys"}, 0]}, {"$slice": ["$$keys", getMaxSampleKeys()]}, "$$REMOVE"]},
+        }},
+        "types": "$fields.fieldtypes",
+        ...(sensitiveSettings ? {"sensitivecounts": byVariant ? "$sensitivecounts" : getSensitiveCountsExpression(sensitiveCategories)} : {}),
+      },
+    ]}},
+
+    // Optionally flag the fields likely to hold personal data, hiding their values
+    ...(sensitiveSettings ? [
+      {"$set": {
+        "sensitivedata": {"$cond": [{"$eq": [{"$type": "$sensitivecounts"}, "object"]}, buildSensitiveDataClassificationExpression(sensitiveSettings), "$$REMOVE"]},
+      }},
+
+      // Also hide the real keys of a '<dynamickey>' field if they look like personal data (e.g. a map keyed by email address)
+      {"$set": {
+        "types": {"$cond": [{"$eq": [{"$type": "$sensitivedata"}, "object"]}, buildSensitiveTypesExpression(sensitiveSettings.redact), "$types"]},
+        "samplekeys": buildSensitiveSampleKeysExpression(sensitiveSettings.redact, sensitiveCategories),
+      }},
+
+      {"$unset": "sensitivecounts"},
+    ] : []),
+  ];
+}
+
+
+/**
+ * Get the $group accumulators counting a field's string and number values ('sensitivevalues') and
+ * those which look like each category of personal data ('sensitivematches0' and so on), summing
+ * the given expressions
+ */
+function getSensitiveCountAccumulators(categories, {values, matches}) {
+  return {
+    "sensitivevalues": {"$sum": values},
+    ...Object.fromEntries(categories.map((category, index) => [`sensitivematches${index}`, {"$sum": matches(category, index)}])),
+  };
+}
+
+
+/**
+ * Get the aggregation expression bringing together the counts of a field's string and number
+ * values and of those which look like each category of personal data, once its data types have
+ * been grouped
+ */
+function getSensitiveCountsExpression(categories) {
+  return {
+    "values": "$fields.sensitivevalues",
+    "matches": categories.map((category, index) => `$fields.sensitivematches${index}`),
+  };
+}
+
+
+/**
+ * Macro to generate the stages to $merge the summarised schema into a snapshots collection, keying
+ * each field's summary by the collection analysed, the run's timestamp and the field's path (see
+ * buildSchemaAnalysisPipeline())
+ */
+function buildSchemaSnapshotStages({into, source, runAt="$$NOW"}) {
+  if (!into || !source) {
+    throw "buildSchemaSnapshotStages - The snapshot settings must include both 'into' and 'source'";
+  }
+
+  return [
+    {"$set": {
+      "_id": {
+        "source": {"$literal": source},
+        "runat": runAt,
+        "variant": {"$ifNull": ["$variant", "$$REMOVE"]},
+        // The summary of any truncated documents has no path or field
+        "path": {"$ifNull": ["$path", null]},
+        "field": {"$ifNull": ["$field", null]},
+      },
+      "source": {"$literal": source},
+      "runat": runAt,
+    }},
+
+    {"$merge": {
+      "into": into,
+      "on": "_id",
+      "whenMatched": "replace",
+      "whenNotMatched": "insert",
+    }},
+  ];
+}
+
+
+/**
+ * Get the maximum number of the real keys of a '<dynamickey>' field to list in its summary
+ */
+function getMaxSampleKeys() {
+  return 10;
+}
+
+
+/**
+ * Macro to generate the expression for the variant of entity a document holds, as an object of the
+ * values of each of its discriminator fields keyed by their paths (with null for a missing value)
+ */
+function getVariantExpression(discriminators) {
+  return {"$arrayToObject": [discriminators.map(path => ({"k": path, "v": {"$ifNull": [`$${path}`, null]}}))]};
+}
+
+
+/**
+ * Get the definitions of each optional statistic that buildSchemaSummaryStages() can compute for
+ * each data type of a field, keyed by stat name. For each stat, 'accumulators' are added to the
+ * first $group stage (per path, field & type) and 'outputs' are added to each type's entry pushed
+ * by the second $group stage (per path & field), referencing the accumulated values. The
+ * client-side equivalents used by summarizeSchemaFromDocuments() are 'accumulateValue', which
+ * folds one schema field entry into the running state for its path, field & type, and
+ * 'getOutputs', which returns the fields to add to the type's entry from that state. A stat can
+ * also define 'stages' to run before the first $group stage, against one record per field of each
+ * sub-document of each document (the 'topvalues' and 'datestats' stats use $setWindowFields so
+ * require MongoDB version 5.0+, and the 'bindatastats' stat uses $function so requires server-side
+ * JavaScript to be enabled)
+ */
+function getSchemaSummaryStats({maxTopValues=5, maxEnumValues=10, stringPatterns={}} = {}) {
+  // Min & max are meaningless for the placeholder values recorded for these types
+  const noRangeTypes = ["null", "array", "object"];
+  const numberTypes = ["int", "long", "double", "decimal"];
+  const stringSubtypePatterns = getStringSubtypePatterns(stringPatterns);
+  const fieldTypeKey = {"variant": "$variant", "subdocpath": "$content.subdocpath", "fieldname": "$content.schema.fieldname", "fieldtype": "$content.schema.fieldtype"};
+
+  return {
+    "min": {
+      "accumulators": {"min": {"$min": "$content.schema.fieldvalue"}},
+      "outputs": {"min": {"$cond": [{"$in": ["$_id.fieldtype", noRangeTypes]}, "$$REMOVE", "$min"]}},
+      "accumulateValue": (state, schemaField) => {
+        if ((schemaField.fieldvalue !== null) && ((state.min === undefined) || (compareBsonValues(schemaField.fieldvalue, state.min) < 0))) {
+          state.min = schemaField.fieldvalue;
+        }
+      },
+      "getOutputs": (state, fieldtype) => noRangeTypes.includes(fieldtype) ? {} : {"min": state.min},
+    },
+    "max": {
+      "accumulators": {"max": {"$max": "$content.schema.fieldvalue"}},
+      "outputs": {"max": {"$cond": [{"$in": ["$_id.fieldtype", noRangeTypes]}, "$$REMOVE", "$max"]}},
+      "accumulateValue": (state, schemaField) => {
+        if ((schemaField.fieldvalue !== null) && ((state.max === undefined) || (compareBsonValues(schemaField.fieldvalue, state.max) > 0))) {
+          state.max = schemaField.fieldvalue;
+        }
+      },
+      "getOutputs": (state, fieldtype) => noRangeTypes.includes(fieldtype) ? {} : {"max": state.max},
+    },
+    "arraystats": {
+      "accumulators": {
+        "arrayminlength": {"$min": "$content.schema.arraylength"},
+        "arraymaxlength": {"$max": "$content.schema.arraylength"},
+        "arrayavglength": {"$avg": "$content.schema.arraylength"},
+        "arrayempty": {"$sum": {"$cond": [{"$eq": ["$content.schema.arraycontent", "empty"]}, 1, 0]}},
+        "arrayobjects": {"$sum": {"$cond": [{"$eq": ["$content.schema.arraycontent", "objects"]}, 1, 0]}},
+        "arrayscalars": {"$sum": {"$cond": [{"$eq": ["$content.schema.arraycontent", "scalars"]}, 1, 0]}},
+        "arraymixed": {"$sum": {"$cond": [{"$eq": ["$content.schema.arraycontent", "mixed"]}, 1, 0]}},
+      },
+      "outputs": {"arraystats": {"$cond": [
+        {"$eq": ["$_id.fieldtype", "array"]},
+        {
+          "minlength": "$arrayminlength",
+          "maxlength": "$arraymaxlength",
+          "avglength": {"$round": ["$arrayavglength", 2]},
+          "empty": "$arrayempty",
+          "objects": "$arrayobjects",
+          "scalars": "$arrayscalars",
+          "mixed": "$arraymixed",
+        },
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (schemaField.arraylength !== undefined) {
+          state.arrays = state.arrays || {"minlength": Infinity, "maxlength": -Infinity, "totallength": 0, "count": 0, "empty": 0, "objects": 0, "scalars": 0, "mixed": 0};
+          state.arrays.minlength = Math.min(state.arrays.minlength, schemaField.arraylength);
+          state.arrays.maxlength = Math.max(state.arrays.maxlength, schemaField.arraylength);
+          state.arrays.totallength += schemaField.arraylength;
+          state.arrays.count++;
+          state.arrays[schemaField.arraycontent]++;
+        }
+      },
+      "getOutputs": (state, fieldtype) => ((fieldtype !== "array") || !state.arrays) ? {} : {"arraystats": {
+        "minlength": state.arrays.minlength,
+        "maxlength": state.arrays.maxlength,
+        "avglength": roundTo2Places(state.arrays.totallength / state.arrays.count),
+        "empty": state.arrays.empty,
+        "objects": state.arrays.objects,
+        "scalars": state.arrays.scalars,
+        "mixed": state.arrays.mixed,
+      }},
+    },
+    "topvalues": {
+      "stages": [
+        // Count the occurrences of each distinct value, marking the first occurrence of each
+        {"$setWindowFields": {
+          "partitionBy": {...fieldTypeKey, "fieldvalue": "$content.schema.fieldvalue"},
+          "sortBy": {"docid": 1},
+          "output": {
+            "valuecount": {"$count": {}},
+            "valueoccurrence": {"$documentNumber": {}},
+          },
+        }},
+
+        // Rank each distinct value by how common it is (and then by value for ties), by counting the first occurrences up to it
+        {"$setWindowFields": {
+          "partitionBy": fieldTypeKey,
+          "sortBy": {"valuecount": -1, "content.schema.fieldvalue": 1},
+          "output": {
+            "valuerank": {"$sum": {"$cond": [{"$eq": ["$valueoccurrence", 1]}, 1, 0]}, "window": {"documents": ["unbounded", "current"]}},
+          },
+        }},
+      ],
+      // Only keep the top ranked values, so the memory used by each group stays small however many distinct values a field has
+      "accumulators": {
+        "distinctvalues": {"$max": "$valuerank"},
+        "topvalues": {"$push": {"$cond": [
+          {"$and": [{"$eq": ["$valueoccurrence", 1]}, {"$lte": ["$valuerank", maxTopValues]}]},
+          {"value": "$content.schema.fieldvalue", "count": "$valuecount", "rank": "$valuerank"},
+          "$$REMOVE",
+        ]}},
+      },
+      "outputs": {
+        "distinctvalues": {"$cond": [{"$in": ["$_id.fieldtype", noRangeTypes]}, "$$REMOVE", "$distinctvalues"]},
+        "enumcandidate": {"$cond": [{"$in": ["$_id.fieldtype", noRangeTypes]}, "$$REMOVE", {"$lte": ["$distinctvalues", maxEnumValues]}]},
+        // List the values in rank order
+        "topvalues": {"$cond": [
+          {"$in": ["$_id.fieldtype", noRangeTypes]},
+          "$$REMOVE",
+          {"$map": {
+            "input": {"$range": [1, {"$add": [{"$min": ["$distinctvalues", maxTopValues]}, 1]}]},
+            "as": "rank",
+            "in": {"$let": {
+              "vars": {"topvalue": {"$first": {"$filter": {"input": "$topvalues", "as": "topvalue", "cond": {"$eq": ["$$topvalue.rank", "$$rank"]}}}}},
+              "in": {"value": "$$topvalue.value", "count": "$$topvalue.count"},
+            }},
+          }},
+        ]},
+      },
+      "accumulateValue": (state, schemaField) => {
+        state.values = state.values || new Map();
+        const key = JSON.stringify(getComparableValue(schemaField.fieldvalue));
+
+        if (!state.values.has(key)) {
+          state.values.set(key, {"value": schemaField.fieldvalue, "count": 0});
+        }
+
+        state.values.get(key).count++;
+      },
+      "getOutputs": (state, fieldtype) => noRangeTypes.includes(fieldtype) ? {} : {
+        "distinctvalues": state.values.size,
+        "enumcandidate": state.values.size <= maxEnumValues,
+        "topvalues": [...state.values.values()]
+          .sort((valueA, valueB) => (valueB.count - valueA.count) || compareBsonValues(valueA.value, valueB.value))
+          .slice(0, maxTopValues),
+      },
+    },
+    "stringsubtypes": {
+      "stages": (stringSubtypePatterns.length === 0) ? [] : [
+        // Classify each string by the first pattern it matches
+        {"$set": {
+          "stringsubtype": {"$cond": [
+            {"$eq": ["$content.schema.fieldtype", "string"]},
+            {"$switch": {
+              "branches": stringSubtypePatterns.map(({subtype, regex}) => ({
+                "case": {"$regexMatch": {"input": "$content.schema.fieldvalue", "regex": regex}},
+                "then": subtype,
+              })),
+              "default": "$$REMOVE",
+            }},
+            "$$REMOVE",
+          ]},
+        }},
+      ],
+      "accumulators": Object.fromEntries(stringSubtypePatterns.map(({subtype}, index) => [
+        `stringsubtype${index}`,
+        {"$sum": {"$cond": [{"$eq": ["$stringsubtype", subtype]}, 1, 0]}},
+      ])),
+      // List the subtypes seen in the order of their patterns, with the percentage of the strings they account for
+      "outputs": {"stringsubtypes": {"$cond": [
+        {"$eq": ["$_id.fieldtype", "string"]},
+        {"$filter": {
+          "input": stringSubtypePatterns.map(({subtype}, index) => ({
+            "subtype": subtype,
+            "count": `$stringsubtype${index}`,
+            "share": {"$round": [{"$multiply": [{"$divide": [`$stringsubtype${index}`, "$count"]}, 100]}, 2]},
+          })),
+          "as": "subtype",
+          "cond": {"$gt": ["$$subtype.count", 0]},
+        }},
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (schemaField.fieldtype === "string") {
+          const match = stringSubtypePatterns.find(({regex}) => new RegExp(regex).test(schemaField.fieldvalue));
+          state.stringSubtypes = state.stringSubtypes || {"count": 0, "subtypes": new Map()};
+          state.stringSubtypes.count++;
+
+          if (match) {
+            state.stringSubtypes.subtypes.set(match.subtype, (state.stringSubtypes.subtypes.get(match.subtype) || 0) + 1);
+          }
+        }
+      },
+      "getOutputs": (state, fieldtype) => ((fieldtype !== "string") || !state.stringSubtypes) ? {} : {"stringsubtypes": stringSubtypePatterns
+        .filter(({subtype}) => state.stringSubtypes.subtypes.has(subtype))
+        .map(({subtype}) => ({
+          "subtype": subtype,
+          "count": state.stringSubtypes.subtypes.get(subtype),
+          "share": roundTo2Places(state.stringSubtypes.subtypes.get(subtype) / state.stringSubtypes.count * 100),
+        })),
+      },
+    },
+    "stringstats": {
+      "accumulators": {
+        "stringminlength": {"$min": {"$cond": [{"$eq": ["$content.schema.fieldtype", "string"]}, {"$strLenCP": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+        "stringmaxlength": {"$max": {"$cond": [{"$eq": ["$content.schema.fieldtype", "string"]}, {"$strLenCP": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+        "stringavglength": {"$avg": {"$cond": [{"$eq": ["$content.schema.fieldtype", "string"]}, {"$strLenCP": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+      },
+      "outputs": {"stringstats": {"$cond": [
+        {"$eq": ["$_id.fieldtype", "string"]},
+        {
+          "minlength": "$stringminlength",
+          "maxlength": "$stringmaxlength",
+          "avglength": {"$round": ["$stringavglength", 2]},
+        },
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (schemaField.fieldtype === "string") {
+          // Count code points rather than UTF-16 code units, as $strLenCP does
+          const length = [...schemaField.fieldvalue].length;
+          state.strings = state.strings || {"minlength": Infinity, "maxlength": -Infinity, "totallength": 0, "count": 0};
+          state.strings.minlength = Math.min(state.strings.minlength, length);
+          state.strings.maxlength = Math.max(state.strings.maxlength, length);
+          state.strings.totallength += length;
+          state.strings.count++;
+        }
+      },
+      "getOutputs": (state, fieldtype) => ((fieldtype !== "string") || !state.strings) ? {} : {"stringstats": {
+        "minlength": state.strings.minlength,
+        "maxlength": state.strings.maxlength,
+        "avglength": roundTo2Places(state.strings.totallength / state.strings.count),
+      }},
+    },
+    "numberstats": {
+      "accumulators": {
+        "numbermean": {"$avg": "$content.schema.fieldvalue"},
+        "numberstddev": {"$stdDevPop": "$content.schema.fieldvalue"},
+      },
+      "outputs": {"numberstats": {"$cond": [
+        {"$in": ["$_id.fieldtype", numberTypes]},
+        {
+          "mean": {"$round": ["$numbermean", 2]},
+          "stddev": {"$round": ["$numberstddev", 2]},
+        },
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (numberTypes.includes(schemaField.fieldtype)) {
+          // Keep a running mean & sum of squared differences from it (Welford's method), to avoid holding every value
+          const number = getComparableValue(schemaField.fieldvalue);
+          state.numbers = state.numbers || {"count": 0, "mean": 0, "squareddiffs": 0};
+          state.numbers.count++;
+          const diff = number - state.numbers.mean;
+          state.numbers.mean += diff / state.numbers.count;
+          state.numbers.squareddiffs += diff * (number - state.numbers.mean);
+        }
+      },
+      "getOutputs": (state, fieldtype) => (!numberTypes.includes(fieldtype) || !state.numbers) ? {} : {"numberstats": {
+        "mean": roundTo2Places(state.numbers.mean),
+        "stddev": roundTo2Places(Math.sqrt(state.numbers.squareddiffs / state.numbers.count)),
+      }},
+    },
+    "datestats": {
+      "stages": [
+        {"$set": {
+          "yearmonth": {"$cond": [{"$eq": ["$content.schema.fieldtype", "date"]}, {"$dateToString": {"date": "$content.schema.fieldvalue", "format": "%Y-%m"}}, "$$REMOVE"]},
+        }},
+
+        // Count the dates in each year & month, marking the first date of each
+        {"$setWindowFields": {
+          "partitionBy": {...fieldTypeKey, "yearmonth": "$yearmonth"},
+          "sortBy": {"docid": 1},
+          "output": {
+            "yearmonthcount": {"$count": {}},
+            "yearmonthoccurrence": {"$documentNumber": {}},
+          },
+        }},
+
+        // Number each year & month in date order
+        {"$setWindowFields": {
+          "partitionBy": fieldTypeKey,
+          "sortBy": {"yearmonth": 1},
+          "output": {
+            "yearmonthrank": {"$denseRank": {}},
+          },
+        }},
+      ],
+      "accumulators": {
+        "dateearliest": {"$min": "$content.schema.fieldvalue"},
+        "datelatest": {"$max": "$content.schema.fieldvalue"},
+        "datemonths": {"$max": "$yearmonthrank"},
+        "datedistribution": {"$push": {"$cond": [
+          {"$and": [{"$eq": ["$content.schema.fieldtype", "date"]}, {"$eq": ["$yearmonthoccurrence", 1]}]},
+          {"yearmonth": "$yearmonth", "count": "$yearmonthcount", "rank": "$yearmonthrank"},
+          "$$REMOVE",
+        ]}},
+      },
+      "outputs": {"datestats": {"$cond": [
+        {"$eq": ["$_id.fieldtype", "date"]},
+        {
+          "earliest": "$dateearliest",
+          "latest": "$datelatest",
+          "spandays": {"$round": [{"$divide": [{"$subtract": ["$datelatest", "$dateearliest"]}, 24 * 60 * 60 * 1000]}, 2]},
+          // List the years & months in date order
+          "distribution": {"$map": {
+            "input": {"$range": [1, {"$add": ["$datemonths", 1]}]},
+            "as": "rank",
+            "in": {"$let": {
+              "vars": {"month": {"$first": {"$filter": {"input": "$datedistribution", "as": "month", "cond": {"$eq": ["$$month.rank", "$$rank"]}}}}},
+              "in": {"yearmonth": "$$month.yearmonth", "count": "$$month.count"},
+            }},
+          }},
+        },
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (schemaField.fieldtype === "date") {
+          const millis = getComparableValue(schemaField.fieldvalue);
+          const yearMonth = new Date(millis).toISOString().slice(0, 7);
+          state.dates = state.dates || {"earliest": schemaField.fieldvalue, "latest": schemaField.fieldvalue, "months": new Map()};
+
+          if (millis < getComparableValue(state.dates.earliest)) {
+            state.dates.earliest = schemaField.fieldvalue;
+          }
+
+          if (millis > getComparableValue(state.dates.latest)) {
+            state.dates.latest = schemaField.fieldvalue;
+          }
+
+          state.dates.months.set(yearMonth, (state.dates.months.get(yearMonth) || 0) + 1);
+        }
+      },
+      "getOutputs": (state, fieldtype) => ((fieldtype !== "date") || !state.dates) ? {} : {"datestats": {
+        "earliest": state.dates.earliest,
+        "latest": state.dates.latest,
+        "spandays": roundTo2Places((getComparableValue(state.dates.latest) - getComparableValue(state.dates.earliest)) / (24 * 60 * 60 * 1000)),
+        "distribution": [...state.dates.months.keys()].sort(compareStrings).map(yearMonth => ({"yearmonth": yearMonth, "count": state.dates.months.get(yearMonth)})),
+      }},
+    },
+    "bindatastats": {
+      "accumulators": {
+        "binminsize": {"$min": {"$cond": [{"$eq": ["$content.schema.fieldtype", "binData"]}, {"$binarySize": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+        "binmaxsize": {"$max": {"$cond": [{"$eq": ["$content.schema.fieldtype", "binData"]}, {"$binarySize": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+        "binavgsize": {"$avg": {"$cond": [{"$eq": ["$content.schema.fieldtype", "binData"]}, {"$binarySize": "$content.schema.fieldvalue"}, "$$REMOVE"]}},
+        // No aggregation operator exposes the subtype, so read it using server-side JavaScript
+        "binsubtypes": {"$addToSet": {"$cond": [
+          {"$eq": ["$content.schema.fieldtype", "binData"]},
+          {"$function": {"body": "function(value) { return value.type; }", "args": ["$content.schema.fieldvalue"], "lang": "js"}},
+          "$$REMOVE",
+        ]}},
+      },
+      "outputs": {"bindatastats": {"$cond": [
+        {"$eq": ["$_id.fieldtype", "binData"]},
+        {
+          "minsize": "$binminsize",
+          "maxsize": "$binmaxsize",
+          "avgsize": {"$round": ["$binavgsize", 2]},
+          // List the subtypes in numeric order
+          "subtypes": {"$filter": {"input": {"$range": [0, 256]}, "as": "subtype", "cond": {"$in": ["$$subtype", "$binsubtypes"]}}},
+        },
+        "$$REMOVE",
+      ]}},
+      "accumulateValue": (state, schemaField) => {
+        if (schemaField.fieldtype === "binData") {
+          const {size, subtype} = getBinDataSizeAndSubtype(schemaField.fieldvalue);
+          state.binaries = state.binaries || {"minsize": Infinity, "maxsize": -Infinity, "totalsize": 0, "count": 0, "subtypes": new Set()};
+          state.binaries.minsize = Math.min(state.binaries.minsize, size);
+          state.binaries.maxsize = Math.max(state.binaries.maxsize, size);
+          state.binaries.totalsize += size;
+          state.binaries.count++;
+          state.binaries.subtypes.add(subtype);
+        }
+      },
+      "getOutputs": (state, fieldtype) => ((fieldtype !== "binData") || !state.binaries) ? {} : {"bindatastats": {
+        "minsize": state.binaries.minsize,
+        "maxsize": state.binaries.maxsize,
+        "avgsize": roundTo2Places(state.binaries.totalsize / state.binaries.count),
+        "subtypes": [...state.binaries.subtypes].sort((subtypeA, subtypeB) => subtypeA - subtypeB),
+      }},
+    },
+  };
+}
+
+
+/**
+ * Get the patterns the 'stringsubtypes' stat classifies string values against, in the order they
+ * are tried, each with the subtype it identifies (e.g. 'string:iso-date'). The given patterns,
+ * keyed by name, are tried before the built-in ones and can be regular expressions or their
+ * source strings. Setting the name of a built-in pattern replaces it, or removes it if set to null
+ */
+function getStringSubtypePatterns(stringPatterns={}) {
+  const builtInPatterns = {
+    "iso-date": "^[0-9]{4}-[0-9]{2}-[0-9]{2}([T ][0-9]{2}:[0-9]{2}(:[0-9]{2}(\\.[0-9]+)?)?(Z|[+-][0-9]{2}:?[0-9]{2})?)?$",
+    "objectid-hex": "^[0-9a-fA-F]{24}$",
+    "uuid": "^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$",
+    "email": "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$",
+    "numeric": "^[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([eE][+-]?[0-9]+)?$",
+  };
+
+  // Spreading the given patterns first puts their names first in the order, and spreading them again lets them replace built-in ones
+  return Object.entries({...stringPatterns, ...builtInPatterns, ...stringPatterns})
+    .filter(([, pattern]) => pattern !== null)
+    .map(([name, pattern]) => {
+      if (!(pattern instanceof RegExp) && (typeof pattern !== "string")) {
+        throw `getStringSubtypePatterns - the pattern for '${name}' must be a regular expression or a string, but was set to '${pattern}'`;
+      }
+
+      return {"subtype": `string:${name}`, "regex": (pattern instanceof RegExp) ? pattern.source : pattern};
+    });
+}
+
+
+/**
+ * Get the categories of personal data which the 'sensitiveData' setting classifies fields into, in
+ * the order string values are tried against them. Each has a pattern for the words at the end of
+ * the last part of a field's path suggesting it holds that data ('namePattern', matched against
+ * the path in snake_case, see getSensitiveDataNameRegex()) and a pattern for string values which
+ * look like it ('valuePattern'). Card and phone numbers may also be held as numbers
+ * ('numericValues'), whose digits are then checked instead. Card numbers must also pass the Luhn
+ * checksum, and values which look like free-text names only count if the field's name also
+ * suggests names, as many other strings (e.g. cities or product names) look just the same
+ */
+function getSensitiveDataCategories() {
+  const numberSuffix = "(_?(no|num|number))?";
+  return [
+    {"category": "email", "namePattern": "e_?mail(_?addr(ess)?)?", "valuePattern": "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$"},
+    {"category": "cardnumber", "namePattern": `(card|cc)_?(no|num|number)|credit_?card${numberSuffix}|pan`, "valuePattern": "^[0-9]([ -]?[0-9]){12,18}$", "luhnCheck": true, "numericValues": true},
+    {"category": "nationalid", "namePattern": `ssn|nino|social_?security${numberSuffix}|national_?(id|insurance)${numberSuffix}|passport${numberSuffix}|tax_?id`, "valuePattern": "^([0-9]{3}-[0-9]{2}-[0-9]{4}|[A-Z]{2} ?[0-9]{2} ?[0-9]{2} ?[0-9]{2} ?[A-D])$"},
+    // Phone numbers need 10 to 15 digits, so shorter numeric codes and ISO dates don't look like them
+    {"category": "phone", "namePattern": `(phone|mobile|cell|fax|tel)${numberSuffix}`, "valuePattern": "^(?=([^0-9]*[0-9]){10,15}[^0-9]*$)(\\+[0-9]{1,3}[ .-]?)?(\\(?[0-9]{2,5}\\)?[ .-]?)[0-9]{3,4}[ .-]?[0-9]{3,4}$", "numericValues": true},
+    // IPv6 addresses need all 8 groups or a '::', so times (e.g. '12:30:45') don't look like them
+    {"category": "ipaddress", "namePattern": "ip|ipv[46]|ip_?addr(ess)?|remote_?addr(ess)?", "valuePattern": "^(((25[0-5]|2[0-4][0-9]|1[0-9]{2}|[1-9]?[0-9])\\.){3}(25[0-5]|2[0-4][0-9]|1[0-9]{2}|[1-9]?[0-9])|([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}(:[0-9a-fA-F]{1,4})*)?::([0-9a-fA-F]{1,4}(:[0-9a-fA-F]{1,4})*)?)$"},
+    {"category": "personname", "namePattern": "(first|last|middle|full|given|family|maiden|display|contact|customer)_?name|surname|forename", "valuePattern": "^[A-Z][a-z'-]+( [A-Z][a-z'-]+){0,3}$", "needsNameMatch": true},
+  ];
+}
+
+
+/**
+ * Get the settings of the sensitive data classification from the 'sensitiveData' setting (see
+ * buildSchemaAnalysisPipeline()), which can be true or an object of settings, or null if the
+ * classification is off
+ */
+function getSensitiveDataSettings(sensitiveData) {
+  if (!sensitiveData) {
+    return null;
+  }
+
+  const {redact=false, minConfidence=40} = (sensitiveData === true) ? {} : sensitiveData;
+
+  if ((typeof minConfidence !== "number") || (minConfidence <= 0) || (minConfidence > 100)) {
+    throw `getSensitiveDataSettings - the 'minConfidence' setting must be a number greater than 0 and at most 100, but was set to '${minConfidence}'`;
+  }
+
+  return {"redact": !!redact, "minConfidence": minConfidence, "categories": getSensitiveDataCategories()};
+}
+
+
+/**
+ * Macro to generate the aggregation expression giving the category of personal data a value looks
+ * like (see getSensitiveDataCategories()), or nothing if it doesn't look like any of them. A
+ * string is checked against every category, whereas a whole number is checked, as a string of
+ * digits, against just the categories which may be held as numbers
+ */
+function buildSensitiveValueCategoryExpression(categories, value) {
+  const buildCategorySwitch = (input, candidates) => ({"$switch": {
+    "branches": candidates.map(({category, valuePattern, luhnCheck}) => ({
+      // Only check the Luhn checksum once the value is known to just be digits and separators
+      "case": luhnCheck
+        ? {"$cond": [{"$regexMatch": {"input": input, "regex": valuePattern}}, buildLuhnCheckExpression(input), false]}
+        : {"$regexMatch": {"input": input, "regex": valuePattern}},
+      "then": category,
+    })),
+    "default": "$$REMOVE",
+  }});
+
+  return {"$switch": {
+    "branches": [
+      {"case": {"$eq": [{"$type": value}, "string"]}, "then": buildCategorySwitch(value, categories)},
+      {
+        "case": {"$in": [{"$type": value}, getSensitiveNumberTypes()]},
+        "then": {"$let": {
+          "vars": {"digits": buildWholeNumberDigitsExpression(value)},
+          "in": {"$cond": [{"$eq": ["$$digits", null]}, "$$REMOVE", buildCategorySwitch("$$digits", categories.filter(({numericValues}) => numericValues))]},
+        }},
+      },
+    ],
+    "default": "$$REMOVE",
+  }};
+}
+
+
+/**
+ * Macro to generate the aggregation expression giving the digits of a whole number (with a leading
+ * '-' if it's negative), or null if it isn't a whole number or is too large to be held as a long
+ */
+function buildWholeNumberDigitsExpression(value) {
+  return {"$cond": [
+    {"$eq": [value, {"$trunc": [value, 0]}]},
+    {"$toString": {"$convert": {"input": value, "to": "long", "onError": null, "onNull": null}}},
+    null,
+  ]};
+}
+
+
+/**
+ * Get the BSON data types of the numbers which are checked for looking like personal data
+ */
+function getSensitiveNumberTypes() {
+  return ["int", "long", "double", "decimal"];
+}
+
+
+/**
+ * Macro to generate the aggregation expression checking whether a string of digits, optionally
+ * separated by spaces or dashes, passes the Luhn checksum used by card numbers
+ */
+function buildLuhnCheckExpression(value) {
+  return {"$let": {
+    "vars": {"digits": {"$replaceAll": {"input": {"$replaceAll": {"input": value, "find": " ", "replacement": ""}}, "find": "-", "replacement": ""}}},
+    "in": {"$eq": [0, {"$mod": [{"$reduce": {
+      "input": {"$range": [0, {"$strLenCP": "$$digits"}]},
+      "initialValue": 0,
+      // Working from the rightmost digit, double every second digit, subtracting 9 if that gives more than one digit
+      "in": {"$let": {
+        "vars": {"digit": {"$toInt": {"$substrCP": ["$$digits", {"$subtract": [{"$strLenCP": "$$digits"}, {"$add": ["$$this", 1]}]}, 1]}}},
+        "in": {"$add": ["$$value", {"$cond": [
+          {"$eq": [{"$mod": ["$$this", 2]}, 1]},
+          {"$cond": [{"$gt": ["$$digit", 4]}, {"$subtract": [{"$multiply": ["$$digit", 2]}, 9]}, {"$multiply": ["$$digit", 2]}]},
+          "$$digit",
+        ]}]},
+      }},
+    }}, 10]}]},
+  }};
+}
+
+
+/**
+ * Macro to generate the aggregation expression classifying a field as likely to hold personal
+ * data, from the counts of its string and number values and of those which look like each
+ * category of personal data ('sensitivecounts'). For each category, the field scores 40 if its
+ * name suggests the category plus 60 times the fraction of its values which look like it, and the
+ * best scoring category is given if its score reaches 'minConfidence', otherwise nothing is
+ */
+function buildSensitiveDataClassificationExpression({minConfidence, categories}) {
+  return {"$let": {
+    "vars": {
+      "fieldpath": buildSnakeCaseNameExpression({"$cond": [{"$eq": ["$path", ""]}, "$field", {"$concat": ["$path", ".", "$field"]}]}),
+      "values": "$sensitivecounts.values",
+      "matches": "$sensitivecounts.matches",
+    },
+    "in": {"$let": {
+      "vars": {"candidates": categories.map(({category, namePattern, needsNameMatch}, index) => ({"$let": {
+        "vars": {
+          "namematch": {"$regexMatch": {"input": "$$fieldpath", "regex": getSensitiveDataNameRegex(namePattern)}},
+          "valueshare": {"$cond": [
+            {"$gt": ["$$values", 0]},
+            {"$round": [{"$multiply": [{"$divide": [{"$arrayElemAt": ["$$matches", index]}, "$$values"]}, 100]}, 2]},
+            0,
+          ]},
+        },
+        "in": {
+          "category": category,
+          "confidence": {"$round": [{"$add": [
+            {"$cond": ["$$namematch", 40, 0]},
+            {"$cond": [{"$or": ["$$namematch", !needsNameMatch]}, {"$multiply": ["$$valueshare", 0.6]}, 0]},
+          ]}, 2]},
+          "namematch": "$$namematch",
+          "valueshare": "$$valueshare",
+        },
+      }}))},
+      // Pick the first of the highest scoring categories
+      "in": {"$let": {
+        "vars": {"best": {"$reduce": {
+          "input": "$$candidates",
+          "initialValue": null,
+          "in": {"$cond": [{"$or": [{"$eq": ["$$value", null]}, {"$gt": ["$$this.confidence", "$$value.confidence"]}]}, "$$this", "$$value"]},
+        }}},
+        "in": {"$cond": [{"$gte": ["$$best.confidence", minConfidence]}, "$$best", "$$REMOVE"]},
+      }},
+    }},
+  }};
+}
+
+
+/**
+ * Macro to generate the aggregation expression to hide the values of a field flagged as holding
+ * personal data from each of its data types' stats, either masking them (see
+ * buildMaskedValueExpression()) or, if not redacting, leaving out the 'min', 'max' and 'topvalues'
+ * stats altogether. Values are only masked if some of them look like the field's category, so a
+ * field flagged by its name alone always has them left out
+ */
+function buildSensitiveTypesExpression(redact) {
+  return {"$map": {
+    "input": "$types",
+    "as": "type",
+    "in": {"$cond": [
+      {"$and": [redact, {"$gt": ["$sensitivedata.valueshare", 0]}]},
+      {"$mergeObjects": ["$$type", {
+          "min": {"$cond": [{"$eq": [{"$type": "$$type.min"}, "missing"]}, "$$REMOVE", buildMaskedValueExpression("$$type.min")]},
+          "max": {"$cond": [{"$eq": [{"$type": "$$type.max"}, "missing"]}, "$$REMOVE", buildMaskedValueExpression("$$type.max")]},
+          "topvalues": {"$cond": [
+            {"$isArray": "$$type.topvalues"},
+            {"$map": {"input": "$$type.topvalues", "as": "top", "in": {"$mergeObjects": ["$$top", {"value": buildMaskedValueExpression("$$top.value")}]}}},
+            "$$REMOVE",
+          ]},
+      }]},
+      {"$arrayToObject": {"$filter": {
+        "input": {"$objectToArray": "$$type"},
+        "as": "stat",
+        "cond": {"$not": [{"$in": ["$$stat.k", ["min", "max", "topvalues"]]}]},
+      }}},
+    ]},
+  }};
+}
+
+
+/**
+ * Macro to generate the aggregation expression to hide the real keys listed for a '<dynamickey>'
+ * field ('samplekeys') if any of them look like personal data, either masking them or, if not
+ * redacting, leaving them out
+ */
+function buildSensitiveSampleKeysExpression(redact, categories) {
+  return {"$cond": [
+    {"$anyElementTrue": [{"$map": {
+      "input": {"$ifNull": ["$samplekeys", []]},
+      "as": "key",
+      "in": {"$ne": [{"$type": buildSensitiveValueCategoryExpression(categories, "$$key")}, "missing"]},
+    }}]},
+    redact ? {"$map": {"input": "$samplekeys", "as": "key", "in": buildMaskedValueExpression("$$key")}} : "$$REMOVE",
+    "$samplekeys",
+  ]};
+}
+
+
+/**
+ * Macro to generate the aggregation expression giving the masked form of a value, where each
+ * character of a string is replaced by '*' apart from spaces and punctuation (so its format, e.g.
+ * '*****@*******.***', can still be seen) and any other type of value is replaced by '****'
+ */
+function buildMaskedValueExpression(value) {
+  return {"$cond": [
+    {"$eq": [{"$type": value}, "string"]},
+    {"$reduce": {
+      "input": {"$range": [0, {"$strLenCP": value}]},
+      "initialValue": "",
+      "in": {"$let": {
+        "vars": {"char": {"$substrCP": [value, "$$this", 1]}},
+        "in": {"$concat": ["$$value", {"$cond": [{"$regexMatch": {"input": "$$char", "regex": getMaskKeptCharactersRegex()}}, "$$char", "*"]}]},
+      }},
+    }},
+    "****",
+  ]};
+}
+
+
+/**
+ * Get the regular expression source matching a full field path in snake_case (see
+ * getSnakeCaseName()) whose last part (ignoring any '<arrayitem>' parts, so an array of values is
+ * named by its field) ends with whole words matching a category's name pattern, so e.g.
+ * 'billing_email' matches 'email' but 'company' doesn't match 'pan'
+ */
+function getSensitiveDataNameRegex(namePattern) {
+  return `(^|\\.)([a-z0-9]*_)*(${namePattern})(\\.<arrayitem>)*$`;
+}
+
+
+/**
+ * Macro to generate the aggregation expression converting a field name or path to snake_case, as
+ * getSnakeCaseName() does
+ */
+function buildSnakeCaseNameExpression(name) {
+  return {"$reduce": {
+    "input": {"$range": [0, {"$strLenCP": name}]},
+    "initialValue": "",
+    "in": {"$let": {
+      "vars": {
+        "char": {"$substrCP": [name, "$$this", 1]},
+        "previous": {"$substrCP": [name, {"$max": [{"$subtract": ["$$this", 1]}, 0]}, {"$min": ["$$this", 1]}]},
+        "next": {"$substrCP": [name, {"$add": ["$$this", 1]}, 1]},
+      },
+      "in": {"$concat": [
+        "$$value",
+        {"$cond": [
+          {"$and": [
+            {"$regexMatch": {"input": "$$char", "regex": "^[A-Z]$"}},
+            {"$or": [
+              {"$regexMatch": {"input": "$$previous", "regex": "^[a-z0-9]$"}},
+              {"$and": [{"$regexMatch": {"input": "$$previous", "regex": "^[A-Z]$"}}, {"$regexMatch": {"input": "$$next", "regex": "^[a-z]$"}}]},
+            ]},
+          ]},
+          "_",
+          "",
+        ]},
+        {"$cond": [{"$eq": ["$$char", "-"]}, "_", {"$toLower": "$$char"}]},
+      ]},
+    }},
+  }};
+}
+
+
+/**
+ * Get a field name or path in snake_case, splitting camelCase words (e.g. 'contactEmail' and
+ * 'IPAddress' become 'contact_email' and 'ip_address') and replacing dashes with underscores
+ */
+function getSnakeCaseName(name) {
+  const chars = [...name];
+  return chars.map((char, position) => {
+    const previous = chars[position - 1] || "";
+    const next = chars[position + 1] || "";
+    const isWordStart = /^[A-Z]$/.test(char) && (/^[a-z0-9]$/.test(previous) || (/^[A-Z]$/.test(previous) && /^[a-z]$/.test(next)));
+    return `${isWordStart ? "_" : ""}${(char === "-") ? "_" : (/^[A-Z]$/.test(char) ? char.toLowerCase() : char)}`;
+  }).join("");
+}
+
+
+/**
+ * Get the regular expression source matching the characters which are kept when masking a string,
+ * being whitespace and the punctuation which shows a value's format
+ */
+function getMaskKeptCharactersRegex() {
+  return "^[\\s@.,:;+()/_'-]$";
+}
+
+
+/**
+ * Get the category of personal data a field value looks like (see getSensitiveDataCategories()),
+ * or null if it doesn't look like any of them, as buildSensitiveValueCategoryExpression() does
+ */
+function getSensitiveValueCategory(value, categories) {
+  let text = value;
+  let candidates = categories;
+
+  if (getSensitiveNumberTypes().includes(getBsonTypeName(value))) {
+    text = getWholeNumberDigits(value);
+    candidates = categories.filter(({numericValues}) => numericValues);
+  }
+
+  if (typeof text !== "string") {
+    return null;
+  }
+
+  const match = candidates.find(({valuePattern, luhnCheck}) =>
+    new RegExp(valuePattern).test(text) && (!luhnCheck || isLuhnChecksumValid(text.replace(/[ -]/g, "")))
+  );
+  return match ? match.category : null;
+}
+
+
+/**
+ * Get the digits of a number held in memory (with a leading '-' if it's negative), or null if it
+ * isn't a whole number or is too large to be held as a long, as
+ * buildWholeNumberDigitsExpression() does
+ */
+function getWholeNumberDigits(value) {
+  const text = ((typeof value === "object") && !value._bsontype) ? String(Object.values(value)[0]) : String(value);
+  let digits = null;
+
+  // Take the digits straight from the text where possible, as converting a large long or decimal to a JavaScript number loses precision
+  if (/^-?[0-9]+(\.0*)?$/.test(text)) {
+    digits = BigInt(text.split(".")[0]);
+  } else if (Number.isInteger(Number(text))) {
+    digits = BigInt(Number(text));
+  }
+
+  return ((digits !== null) && (digits >= -(2n ** 63n)) && (digits < (2n ** 63n))) ? digits.toString() : null;
+}
+
+
+/**
+ * Check whether a string of digits passes the Luhn checksum used by card numbers
+ */
+function isLuhnChecksumValid(digits) {
+  let sum = 0;
+
+  for (let position = 0; position < digits.length; position++) {
+    const digit = Number(digits[digits.length - 1 - position]);
+    sum += ((position % 2) === 1) ? ((digit > 4) ? (digit * 2) - 9 : digit * 2) : digit;
+  }
+
+  return (sum % 10) === 0;
+}
+
+
+/**
+ * Classify a field as likely to hold personal data, from the counts of its string values and of
+ * those which look like each category of personal data, as
+ * buildSensitiveDataClassificationExpression() does, returning null if it isn't
+ */
+function classifySensitiveField(path, field, sensitiveCounts, {minConfidence, categories}) {
+  const fieldPath = getSnakeCaseName(joinSubdocPath(path, field));
+  let best = null;
+
+  categories.forEach(({category, namePattern, needsNameMatch}, index) => {
+    const nameMatch = new RegExp(getSensitiveDataNameRegex(namePattern)).test(fieldPath);
+    const valueShare = (sensitiveCounts.values > 0) ? roundTo2Places((sensitiveCounts.matches[index] / sensitiveCounts.values) * 100) : 0;
+    const confidence = roundTo2Places((nameMatch ? 40 : 0) + ((nameMatch || !needsNameMatch) ? valueShare * 0.6 : 0));
+
+    if (!best || (confidence > best.confidence)) {
+      best = {"category": category, "confidence": confidence, "namematch": nameMatch, "valueshare": valueShare};
+    }
+  });
+
+  return (best.confidence >= minConfidence) ? best : null;
+}
+
+
+/**
+ * Hide the values of a field flagged as holding personal data from one of its data types' stats,
+ * as buildSensitiveTypesExpression() does
+ */
+function hideSensitiveValuesOfType(typeSummary, redact, sensitiveData) {
+  if (!redact || (sensitiveData.valueshare <= 0)) {
+    return Object.fromEntries(Object.entries(typeSummary).filter(([stat]) => !["min", "max", "topvalues"].includes(stat)));
+  }
+
+  return {
+    ...typeSummary,
+    ...(("min" in typeSummary) ? {"min": maskValue(typeSummary.min)} : {}),
+    ...(("max" in typeSummary) ? {"max": maskValue(typeSummary.max)} : {}),
+    ...(("topvalues" in typeSummary) ? {"topvalues": typeSummary.topvalues.map(top => ({...top, "value": maskValue(top.value)}))} : {}),
+  };
+}
+
+
+/**
+ * Hide the real keys listed for a '<dynamickey>' field if any of them look like personal data, as
+ * buildSensitiveSampleKeysExpression() does, returning an empty array if they're left out
+ */
+function hideSensitiveSampleKeys(sampleKeys, {redact, categories}) {
+  if (!sampleKeys.some(key => getSensitiveValueCategory(key, categories) !== null)) {
+    return sampleKeys;
+  }
+
+  return redact ? sampleKeys.map(maskValue) : [];
+}
+
+
+/**
+ * Get the masked form of a value, as buildMaskedValueExpression() does
+ */
+function maskValue(value) {
+  const keptCharacters = new RegExp(getMaskKeptCharactersRegex());
+  return (typeof value === "string") ? [...value].map(char => keptCharacters.test(char) ? char : "*").join("") : "****";
+}
+
+
+/**
+ * Get just the results of the summarised schema which are field summaries, leaving out the summary
+ * of any truncated documents and the summaries of each variant (see buildSchemaAnalysisPipeline())
+ */
+function getSummaryFields(summary) {
+  return summary.filter(fieldSummary => !("truncateddocuments" in fieldSummary) && !("variant" in fieldSummary));
+}
+
+
+/**
+ * Index the results of the summarised schema by sub-document path, returning an object where each
+ * key is a path and each value is the list of field summaries for that path
+ */
+function groupSummaryFieldsByPath(summary) {
+  const fieldsByPath = {};
+
+  for (const fieldSummary of getSummaryFields(summary)) {
+    (fieldsByPath[fieldSummary.path] = fieldsByPath[fieldSummary.path] || []).push(fieldSummary);
+  }
+
+  return fieldsByPath;
+}
+
+
+/**
+ * Join a sub-document path to the name of one of its fields, to give the path of the field's own
+ * nested content, matching the paths generated by constructQueueMember()
+ */
+function joinSubdocPath(subdocPath, fieldName) {
+  return subdocPath.length > 0 ? `${subdocPath}.${fieldName}` : fieldName;
+}
+
+
+/**
+ * Build the $jsonSchema for a value which may be any of the given data types, where 'objectPath'
+ * is the summary path holding the fields of the value if it's an object and 'arrayPath' is the
+ * summary path holding the elements of the value if it's an array
+ */
+function buildJsonSchemaForValue(fieldsByPath, objectPath, arrayPath, fieldtypes, options) {
+  // The $type operator and the $jsonSchema 'bsonType' keyword share the same type aliases
+  const schema = {"bsonType": (fieldtypes.length === 1) ? fieldtypes[0] : fieldtypes};
+
+  if (fieldtypes.includes("object")) {
+    const fields = (fieldsByPath[objectPath] || []).filter(field => !["<arrayitem>", "<dynamickey>"].includes(field.field));
+    const dynamicKeyField = (fieldsByPath[objectPath] || []).find(field => field.field === "<dynamickey>");
+    const required = fields.filter(field => field.presence >= options.requiredThreshold).map(field => field.field);
+    const properties = {};
+
+    for (const field of fields) {
+      const fieldPath = joinSubdocPath(objectPath, field.field);
+      properties[field.field] = buildJsonSchemaForValue(fieldsByPath, fieldPath, fieldPath, field.types.map(type => type.fieldtype), options);
+    }
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    schema.properties = properties;
+
+    // The keys of a map-like object aren't known in advance, so only the schema of its values can be enforced
+    if (dynamicKeyField) {
+      const valuePath = joinSubdocPath(objectPath, dynamicKeyField.field);
+      schema.additionalProperties = buildJsonSchemaForValue(fieldsByPath, valuePath, valuePath, dynamicKeyField.types.map(type => type.fieldtype), options);
+    } else if (options.strict) {
+      schema.additionalProperties = false;
+    }
+  }
+
+  if (fieldtypes.includes("array")) {
+    const elementTypes = getArrayElementTypes(fieldsByPath, arrayPath);
+
+    // Only empty arrays were seen so there's nothing to say about the array's elements
+    if (elementTypes.length > 0) {
+      schema.items = buildJsonSchemaForValue(fieldsByPath, arrayPath, joinSubdocPath(arrayPath, "<arrayitem>"), elementTypes, options);
+    }
+  }
+
+  return schema;
+}
+
+
+/**
+ * Get the data types of the elements of the arrays at a summary path, where an array's object
+ * elements have their fields recorded at the array's path, whereas its other elements are recorded
+ * as '<arrayitem>' fields
+ */
+function getArrayElementTypes(fieldsByPath, arrayPath) {
+  const elements = fieldsByPath[arrayPath] || [];
+  const scalarElement = elements.find(field => field.field === "<arrayitem>");
+  return [
+    ...(elements.some(field => field.field !== "<arrayitem>") ? ["object"] : []),
+    ...(scalarElement ? scalarElement.types.map(type => type.fieldtype) : []),
+  ];
+}
+
+
+/**
+ * Build the TypeScript type for a value which may be any of the given data types (see
+ * buildJsonSchemaForValue()), adding any interfaces and driver classes it refers to into
+ * 'declarations'
+ */
+function buildTypeScriptTypeForValue(fieldsByPath, objectPath, arrayPath, fieldtypes, declarations, options) {
+  const tsTypes = fieldtypes.map(fieldtype => {
+    if (fieldtype === "object") {
+      return buildTypeScriptInterface(fieldsByPath, objectPath, declarations, options);
+    } else if (fieldtype === "array") {
+      const elementTypes = getArrayElementTypes(fieldsByPath, arrayPath);
+
+      // Only empty arrays were seen so there's nothing to say about the array's elements
+      if (elementTypes.length === 0) {
+        return "unknown[]";
+      }
+
+      const elementType = buildTypeScriptTypeForValue(fieldsByPath, arrayPath, joinSubdocPath(arrayPath, "<arrayitem>"), elementTypes, declarations, options);
+      return elementType.includes(" | ") ? `(${elementType})[]` : `${elementType}[]`;
+    }
+
+    const {tsType, driverClass} = getTypeScriptTypeForBsonType(fieldtype);
+
+    if (driverClass) {
+      declarations.imports.add(driverClass);
+    }
+
+    return tsType;
+  });
+
+  return [...new Set(tsTypes)].join(" | ");
+}
+
+
+/**
+ * Build the TypeScript interface for the sub-documents at a summary path, if not already built,
+ * returning the interface's name
+ */
+function buildTypeScriptInterface(fieldsByPath, objectPath, declarations, options) {
+  const name = `${options.rootName}${objectPath.split(".").filter(part => part.length > 0).map(getPascalCaseName).join("")}`;
+
+  if (declarations.interfaceNames.has(name)) {
+    return name;
+  }
+
+  // Reserve the interface's place first, so it's listed before the interfaces of its own fields
+  declarations.interfaceNames.add(name);
+  const position = declarations.interfaces.push(null) - 1;
+  const fields = (fieldsByPath[objectPath] || []).filter(field => !["<arrayitem>", "<dynamickey>"].includes(field.field));
+  const dynamicKeyField = (fieldsByPath[objectPath] || []).find(field => field.field === "<dynamickey>");
+  const lines = fields.map(field => {
+    const fieldPath = joinSubdocPath(objectPath, field.field);
+    const tsType = buildTypeScriptTypeForValue(fieldsByPath, fieldPath, fieldPath, field.types.map(type => type.fieldtype), declarations, options);
+    return `  ${getPropertyName(field.field)}${(field.presence >= options.requiredThreshold) ? "" : "?"}: ${tsType};\n`;
+  });
+
+  // The keys of a map-like object aren't known in advance, so only the type of its values can be given (unless other fields conflict with it)
+  if (dynamicKeyField) {
+    const valuePath = joinSubdocPath(objectPath, dynamicKeyField.field);
+    const valueType = buildTypeScriptTypeForValue(fieldsByPath, valuePath, valuePath, dynamicKeyField.types.map(type => type.fieldtype), declarations, options);
+    lines.push(`  [key: string]: ${(fields.length > 0) ? "unknown" : valueType};\n`);
+  }
+
+  declarations.interfaces[position] = `export interface ${name} {\n${lines.join("")}}\n`;
+  return name;
+}
+
+
+/**
+ * Get the TypeScript type for a BSON data type which isn't an object or an array, along with the
+ * MongoDB Node.js driver class it needs importing (if any)
+ */
+function getTypeScriptTypeForBsonType(fieldtype) {
+  const tsTypes = {
+    "string": "string", "symbol": "string", "int": "number", "long": "number", "double": "number", "bool": "boolean",
+    "date": "Date", "regex": "RegExp", "null": "null", "undefined": "undefined",
+  };
+  const driverClasses = {
+    "objectId": "ObjectId", "decimal": "Decimal128", "binData": "Binary", "timestamp": "Timestamp", "javascript": "Code",
+    "javascriptWithScope": "Code", "dbPointer": "DBRef", "minKey": "MinKey", "maxKey": "MaxKey",
+  };
+
+  if (fieldtype in driverClasses) {
+    return {"tsType": driverClasses[fieldtype], "driverClass": driverClasses[fieldtype]};
+  }
+
+  return {"tsType": tsTypes[fieldtype] || "unknown", "driverClass": null};
+}
+
+
+/**
+ * Build the source code of the Mongoose definition object for the sub-documents at a summary path,
+ * with its closing brace at the given indent
+ */
+function buildMongooseDefinitionForObject(fieldsByPath, objectPath, indent, options) {
+  const fields = (fieldsByPath[objectPath] || []).filter(field => !["<arrayitem>", "<dynamickey>"].includes(field.field));
+  const lines = fields.map(field => {
+    const fieldPath = joinSubdocPath(objectPath, field.field);
+    const required = field.presence >= options.requiredThreshold;
+    const mongooseType = buildMongooseTypeForValue(fieldsByPath, fieldPath, fieldPath, field.types.map(type => type.fieldtype), required, `${indent}  `, options);
+    return `${indent}  ${getPropertyName(field.field)}: ${mongooseType},\n`;
+  });
+
+  return `{\n${lines.join("")}${indent}}`;
+}
+
+
+/**
+ * Build the source code of the Mongoose schema type for a value which may be any of the given data
+ * types (see buildJsonSchemaForValue())
+ */
+function buildMongooseTypeForValue(fieldsByPath, objectPath, arrayPath, fieldtypes, required, indent, options) {
+  // Mongoose allows null for every type, and a value with several other types can only be 'Mixed'
+  const kinds = [...new Set(fieldtypes.filter(fieldtype => !["null", "undefined"].includes(fieldtype)).map(fieldtype =>
+    ["object", "array"].includes(fieldtype) ? fieldtype : getMongooseTypeForBsonType(fieldtype)
+  ))];
+  const withRequired = mongooseType => required ? `{ type: ${mongooseType}, required: true }` : mongooseType;
+
+  if (kinds.length !== 1) {
+    return withRequired("Schema.Types.Mixed");
+  } else if (kinds[0] === "object") {
+    const fields = (fieldsByPath[objectPath] || []).filter(field => !["<arrayitem>", "<dynamickey>"].includes(field.field));
+    const dynamicKeyField = (fieldsByPath[objectPath] || []).find(field => field.field === "<dynamickey>");
+
+    // The keys of a map-like object aren't known in advance, so it's a Map of its values' type, unless
+    // other fields conflict with it, when neither a Map nor a fixed set of fields fits
+    if (dynamicKeyField && (fields.length > 0)) {
+      return withRequired("Schema.Types.Mixed");
+    } else if (dynamicKeyField) {
+      const valuePath = joinSubdocPath(objectPath, dynamicKeyField.field);
+      const valueTypes = dynamicKeyField.types.map(type => type.fieldtype);
+      return `{ type: Map, of: ${buildMongooseElementTypeForValue(fieldsByPath, valuePath, valuePath, valueTypes, indent, options)} }`;
+    }
+
+    return buildMongooseDefinitionForObject(fieldsByPath, objectPath, indent, options);
+  } else if (kinds[0] === "array") {
+    const elementTypes = getArrayElementTypes(fieldsByPath, arrayPath);
+
+    // Only empty arrays were seen so there's nothing to say about the array's elements
+    if (elementTypes.length === 0) {
+      return "[]";
+    }
+
+    return `[${buildMongooseElementTypeForValue(fieldsByPath, arrayPath, joinSubdocPath(arrayPath, "<arrayitem>"), elementTypes, indent, options)}]`;
+  }
+
+  return withRequired(kinds[0]);
+}
+
+
+/**
+ * Build the source code of the Mongoose schema type for the elements of an array or the values of a
+ * Map, which must be a subdocument schema if they're sub-documents (see
+ * buildMongooseTypeForValue())
+ */
+function buildMongooseElementTypeForValue(fieldsByPath, objectPath, arrayPath, fieldtypes, indent, options) {
+  const elementType = buildMongooseTypeForValue(fieldsByPath, objectPath, arrayPath, fieldtypes, false, indent, options);
+
+  // Mongoose gives each subdocument its own '_id', so only keep it if the sub-documents already had one
+  if (elementType.startsWith("{\n")) {
+    const hasIds = (fieldsByPath[objectPath] || []).some(field => field.field === "_id");
+    return `new Schema(${elementType}${hasIds ? "" : ", { _id: false }"})`;
+  }
+
+  return elementType;
+}
+
+
+/**
+ * Get the Mongoose schema type for a BSON data type which isn't an object or an array
+ */
+function getMongooseTypeForBsonType(fieldtype) {
+  const mongooseTypes = {
+    "string": "String", "int": "Number", "long": "Number", "double": "Number", "decimal": "Schema.Types.Decimal128",
+    "objectId": "Schema.Types.ObjectId", "date": "Date", "binData": "Buffer", "bool": "Boolean",
+  };
+
+  return mongooseTypes[fieldtype] || "Schema.Types.Mixed";
+}
+
+
+/**
+ * Get a field name as a property name for generated source code, quoted if it isn't a valid
+ * identifier
+ */
+function getPropertyName(fieldName) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(fieldName) ? fieldName : JSON.stringify(fieldName);
+}
+
+
+/**
+ * Get a part of a summary path in PascalCase for use in a generated type name (e.g. 'line_items'
+ * becomes 'LineItems', '<arrayitem>' becomes 'Item' and '<dynamickey>' becomes 'Value')
+ */
+function getPascalCaseName(pathPart) {
+  const specialNames = {"<arrayitem>": "Item", "<dynamickey>": "Value"};
+
+  if (pathPart in specialNames) {
+    return specialNames[pathPart];
+  }
+
+  return pathPart.split(/[^A-Za-z0-9]+/).filter(word => word.length > 0).map(word => `${word[0].toUpperCase()}${word.slice(1)}`).join("");
+}
+
+
+/**
+ * Get the rows of a report of the summarised schema as arrays of strings, with the column names
+ * first, followed by the values for each field summary (only including the 'variant' column if
+ * there are summaries of variants)
+ */
+function getSchemaSummaryReportRows(summary) {
+  const fieldSummaries = summary.filter(fieldSummary => !("truncateddocuments" in fieldSummary));
+  const hasVariants = fieldSummaries.some(fieldSummary => "variant" in fieldSummary);
+  const columns = [...(hasVariants ? ["variant"] : []), "path", "field", "count", "documents", "pathinstances", "presence", "types"];
+
+  return [
+    columns,
+    ...fieldSummaries.map(fieldSummary => columns.map(column => {
+      if (column === "variant") {
+        return ("variant" in fieldSummary) ? JSON.stringify(fieldSummary.variant) : "";
+      } else if (column === "types") {
+        return fieldSummary.types.map(type => `${type.fieldtype} (${type.count})`).join(", ");
+      }
+
+      return String(fieldSummary[column]);
+    })),
+  ];
+}
+
+
+/**
+ * Build the tree of a summarised schema's fields (leaving out the summaries of each variant), where
+ * each node has the field's name, the lines of 'details' to show for it and its 'children', being
+ * the fields of its sub-documents or the elements of its arrays. The root node stands for the
+ * documents themselves, with the number of documents sampled as its details.
+ */
+function buildSchemaSummaryTree(summary) {
+  const fieldsByPath = groupSummaryFieldsByPath(summary);
+  const buildChildNodes = path => (fieldsByPath[path] || []).map(fieldSummary => {
+    const fieldPath = joinSubdocPath(fieldSummary.path, fieldSummary.field);
+    return {"name": fieldSummary.field, "details": getSchemaTreeNodeDetails(fieldSummary), "children": buildChildNodes(fieldPath)};
+  });
+  // The number of sampled documents is the number of instances of the root path
+  const sampledDocs = Math.max(0, ...(fieldsByPath[""] || []).map(fieldSummary => fieldSummary.pathinstances));
+  return {"name": "(document)", "details": [`${sampledDocs} documents`], "children": buildChildNodes("")};
+}
+
+
+/**
+ * Get the lines of details to show for a field's node in the tree of a summarised schema, being
+ * the share of each data type, the field's presence and any array length statistics
+ */
+function getSchemaTreeNodeDetails(fieldSummary) {
+  const details = [
+    fieldSummary.types.map(type => `${type.fieldtype} ${roundTo2Places((type.count / fieldSummary.count) * 100)}%`).join(", "),
+    `presence ${fieldSummary.presence}%`,
+  ];
+  const arrayType = fieldSummary.types.find(type => type.arraystats);
+
+  if (arrayType) {
+    const {minlength, maxlength, avglength} = arrayType.arraystats;
+    details.push(`array length ${minlength}-${maxlength} (avg ${avglength})`);
+  }
+
+  return details;
+}
+
+
+/**
+ * Get the text of the warning to show with a report of a summarised schema if any documents were
+ * truncated, or null if none were
+ */
+function getSchemaTruncationWarning(summary) {
+  const truncation = summary.find(fieldSummary => "truncateddocuments" in fieldSummary);
+  return truncation
+    ? `${truncation.WARNING} (${truncation.truncateddocuments} truncated documents, 'maxElements' needs to be at least ${truncation.suggestedmaxelements})`
+    : null;
+}
+
+
+/**
+ * Visit each node of a tree of a summarised schema depth first, passing the callback the node, an
+ * identifier unique to the node ('n0' for the root, 'n1' for the next node visited and so on) and
+ * the identifier of its parent (null for the root)
+ */
+function forEachSchemaTreeNode(rootNode, callback) {
+  let nodeCount = 0;
+  const visit = (node, parentId) => {
+    const nodeId = `n${nodeCount++}`;
+    callback(node, nodeId, parentId);
+    node.children.forEach(child => visit(child, nodeId));
+  };
+
+  visit(rootNode, null);
+}
+
+
+/**
+ * Compare two strings by their character codes, consistent with MongoDB's default sort order
+ */
+function compareStrings(stringA, stringB) {
+  return (stringA < stringB) ? -1 : ((stringA > stringB) ? 1 : 0);
+}
+
+
+/**
+ * Round a number to 2 decimal places
+ */
+function roundTo2Places(number) {
+  return Math.round(number * 100) / 100;
+}
+
+
+/**
+ * Compare the before and after summaries of one field (where either may be undefined if the field
+ * wasn't seen), returning the differences found in the structure used by diffSchemas(), or null if
+ * there are no significant differences
+ */
+function diffFieldSummaries(path, field, beforeField, afterField, {typeShareThreshold, presenceThreshold}) {
+  const beforeTypes = beforeField ? beforeField.types : [];
+  const afterTypes = afterField ? afterField.types : [];
+  const beforeTypeNames = beforeTypes.map(type => type.fieldtype);
+  const afterTypeNames = afterTypes.map(type => type.fieldtype);
+  const typeShifts = [];
+  const rangeChanges = [];
+
+  for (const afterType of afterTypes) {
+    const beforeType = beforeTypes.find(type => type.fieldtype === afterType.fieldtype);
+
+    if (!beforeType) {
+      continue;
+    }
+
+    const beforeShare = roundTo2Places(beforeType.count / beforeField.count * 100);
+    const afterShare = roundTo2Places(afterType.count / afterField.count * 100);
+
+    if (Math.abs(afterShare - beforeShare) >= typeShareThreshold) {
+      typeShifts.push({"fieldtype": afterType.fieldtype, "before": beforeShare, "after": afterShare});
+    }
+
+    if ((JSON.stringify(beforeType.min) !== JSON.stringify(afterType.min)) || (JSON.stringify(beforeType.max) !== JSON.stringify(afterType.max))) {
+      rangeChanges.push({
+        "fieldtype": afterType.fieldtype,
+        "before": {"min": beforeType.min, "max": beforeType.max},
+        "after": {"min": afterType.min, "max": afterType.max},
+      });
+    }
+  }
+
+  const difference = {
+    "path": path,
+    "field": field,
+    "change": !beforeField ? "added" : (!afterField ? "removed" : "changed"),
+    "addedtypes": afterTypeNames.filter(type => !beforeTypeNames.includes(type)),
+    "removedtypes": beforeTypeNames.filter(type => !afterTypeNames.includes(type)),
+    "typeshifts": typeShifts,
+    "rangechanges": rangeChanges,
+  };
+
+  const beforePresence = beforeField ? beforeField.presence : 0;
+  const afterPresence = afterField ? afterField.presence : 0;
+
+  if (Math.abs(afterPresence - beforePresence) >= presenceThreshold) {
+    difference.presenceshift = {"before": beforePresence, "after": afterPresence};
+  }
+
+  const hasDifferences = (difference.change !== "changed") || (difference.addedtypes.length > 0) || (difference.removedtypes.length > 0) ||
+    (typeShifts.length > 0) || (rangeChanges.length > 0) || difference.presenceshift;
+  return hasDifferences ? difference : null;
+}
+
+
+/**
+ * Inspect one document held in memory, visiting its sub-documents in the same breadth first order
+ * as the expression generated by extractSchema(), to produce the same 'content',
+ * 'objectsToProcessQueue' and 'truncation' result
+ */
+function extractSchemaFromDocument(doc, maxElements=500, settings=getTraversalSettings()) {
+  const content = [];
+  // Track the front of the queue rather than removing each object from it, to avoid copying the queue
+  const queue = [{"depth": 0, "index": "0", "subdocpath": "", "subdoc": doc}];
+  let queueStart = 0;
+
+  for (let currentResultPosition = 0; (currentResultPosition < maxElements) && (queueStart < queue.length); currentResultPosition++) {
+    const currentObject = queue[queueStart++];
+    content.push({
+      "id": currentResultPosition,
+      "depth": currentObject.depth,
+      "index": currentObject.index,
+      "subdocpath": currentObject.subdocpath,
+      "schema": Object.entries(currentObject.subdoc).map(([fieldname, fieldvalue]) => getSchemaFieldForValue(fieldname, fieldvalue, currentObject.dynamickeys)),
+    });
+
+    for (const childQueueMember of getChildQueueMembersOfValue(currentObject, settings)) {
+      queue.push(childQueueMember);
+    }
+  }
+
+  const objectsToProcessQueue = queue.slice(queueStart);
+  const extractedSchema = {"content": content, "objectsToProcessQueue": objectsToProcessQueue};
+
+  if (objectsToProcessQueue.length > 0) {
+    extractedSchema.truncation = {
+      "WARNING": getMaxElementsWarningMessage(),
+      "unprocessed": objectsToProcessQueue.length,
+      "unprocessedpaths": [...new Set(objectsToProcessQueue.map(queueMember => queueMember.subdocpath))],
+      "depthreached": content.reduce((depth, subdoc) => ((depth === null) || (subdoc.depth > depth)) ? subdoc.depth : depth, null),
+      "requiredmaxelements": maxElements + countQueuedObjectsAndDescendantsOfValues(objectsToProcessQueue, settings),
+    };
+  }
+
+  return extractedSchema;
+}
+
+
+/**
+ * Build the queue members for the direct child objects (if any) of an object taken from the queue,
+ * as getChildQueueMembers() does
+ */
+function getChildQueueMembersOfValue(queueMember, settings) {
+  const newDepthNumber = queueMember.depth + 1;
+  const children = (newDepthNumber <= settings.maxDepth) ? getNestedChildrenOfValue(queueMember.subdoc, queueMember.dynamickeys, settings.dynamicKeys && settings.dynamicKeys.maxValues) : [];
+
+  return children.map(({key, value}, position) => ({
+    "depth": newDepthNumber,
+    "index": `${queueMember.index}_${position}`,
+    "subdocpath": joinSubdocPath(queueMember.subdocpath, key),
+    "subdoc": value,
+    ...(settings.dynamicKeys ? {"dynamickeys": isDynamicKeysObject(value, settings.dynamicKeys)} : {}),
+  })).filter(childQueueMember => isPathToInspect(childQueueMember.subdocpath, settings));
+}
+
+
+/**
+ * Count the objects in the queue plus all the objects nested below them which would be added to
+ * the queue, as countQueuedObjectsAndDescendants() does
+ */
+function countQueuedObjectsAndDescendantsOfValues(objectsToProcessQueue, settings) {
+  let count = 0;
+
+  for (let objects = objectsToProcessQueue; objects.length > 0; objects = objects.flatMap(queueMember => getChildQueueMembersOfValue(queueMember, settings))) {
+    count += objects.length;
+  }
+
+  return count;
+}
+
+
+/**
+ * Build the schema entry for one field of a sub-document, as buildArrayOfSchemaMetadataFields()
+ * does, reporting the field under the '<dynamickey>' name if its sub-document is map-like
+ */
+function getSchemaFieldForValue(fieldname, fieldvalue, isDynamicKey=false) {
+  const fieldtype = getBsonTypeName(fieldvalue);
+  const schemaField = {
+    "fieldname": isDynamicKey ? "<dynamickey>" : fieldname,
+    ...(isDynamicKey ? {"dynamickey": fieldname} : {}),
+    "fieldvalue": (fieldtype === "array") ? "<array>" : ((fieldtype === "object") ? "<object>" : fieldvalue),
+    "fieldtype": fieldtype,
+  };
+
+  if (fieldtype === "array") {
+    const objectCount = fieldvalue.filter(element => getBsonTypeName(element) === "object").length;
+    schemaField.arraylength = fieldvalue.length;
+    schemaField.arraycontent = (fieldvalue.length === 0) ? "empty" : ((objectCount === fieldvalue.length) ? "objects" : ((objectCount === 0) ? "scalars" : "mixed"));
+  }
+
+  return schemaField;
+}
+
+
+/**
+ * Find each field of the given object which is a sub-document or array, returning each
+ * sub-document and each array element (with non-object elements wrapped in an '<arrayitem>'
+ * field), as getNestedChildrenOfSubdoc() does, including for a map-like object
+ */
+function getNestedChildrenOfValue(subdoc, isDynamicKeysObject=false, maxValues=null) {
+  const children = [];
+  const fields = Object.entries(subdoc);
+
+  for (const [fieldname, value] of (isDynamicKeysObject && (maxValues !== null)) ? fields.slice(0, maxValues) : fields) {
+    const key = isDynamicKeysObject ? "<dynamickey>" : fieldname;
+    const fieldtype = getBsonTypeName(value);
+
+    if (fieldtype === "object") {
+      children.push({"key": key, "value": value});
+    } else if (fieldtype === "array") {
+      for (const element of value) {
+        children.push({"key": key, "value": (getBsonTypeName(element) === "object") ? element : {"<arrayitem>": element}});
+      }
+    }
+  }
+
+  return children;
+}
+
+
+/**
+ * Determine whether an object held in memory is map-like, as isDynamicKeysObjectExpression() does
+ */
+function isDynamicKeysObject(object, dynamicKeys) {
+  const keys = Object.keys(object);
+  const patterns = dynamicKeys.patterns.map(pattern => new RegExp(pattern));
+  return ((dynamicKeys.minKeys !== null) && (keys.length >= dynamicKeys.minKeys)) ||
+    ((patterns.length > 0) && (keys.length > 0) && keys.every(key => patterns.some(pattern => pattern.test(key))));
+}
+
+
+/**
+ * Determine whether the sub-document at the given path should be inspected, as
+ * isPathToInspectExpression() does
+ */
+function isPathToInspect(subdocPath, settings) {
+  return ((settings.includePathsRegex === null) || new RegExp(settings.includePathsRegex).test(subdocPath)) &&
+    ((settings.excludePathsRegex === null) || !new RegExp(settings.excludePathsRegex).test(subdocPath));
+}
+
+
+
+/**
+ * Get the variant of entity a document held in memory holds, as an object of the values of each of
+ * its discriminator fields keyed by their paths (with null for a missing value), as
+ * getVariantExpression() does
+ */
+function getVariantOfDocument(doc, discriminators) {
+  const getValueAtPath = (value, pathParts) => {
+    if ((pathParts.length === 0) || (value === undefined) || (value === null)) {
+      return value;
+    } else if (Array.isArray(value)) {
+      // Like an aggregation field path, a path through an array gives the values from each of its elements
+      return value.map(element => getValueAtPath(element, pathParts)).filter(element => element !== undefined);
+    } else if (getBsonTypeName(value) !== "object") {
+      return undefined;
+    }
+
+    return getValueAtPath(value[pathParts[0]], pathParts.slice(1));
+  };
+
+  return Object.fromEntries(discriminators.map(path => {
+    const value = getValueAtPath(doc, path.split("."));
+    return [path, (value === undefined) ? null : value];
+  }));
+}
+
+
+/**
+ * Compare two variants (see getVariantOfDocument()) in the order MongoDB sorts them, where the
+ * null variant of the overall summary comes first
+ */
+function compareVariants(variantA, variantB) {
+  if ((variantA === null) || (variantB === null)) {
+    return (variantA === null) ? ((variantB === null) ? 0 : -1) : 1;
+  }
+
+  for (const path of Object.keys(variantA)) {
+    const valueA = variantA[path];
+    const valueB = variantB[path];
+    const order = (getBsonTypeSortOrder(valueA) - getBsonTypeSortOrder(valueB)) || compareBsonValues(valueA, valueB);
+
+    if (order !== 0) {
+      return order;
+    }
+  }
+
+  return 0;
+}
+
+
+/**
+ * Get the position of the BSON data type of a value held in memory in the order MongoDB sorts
+ * values of different types
+ */
+function getBsonTypeSortOrder(value) {
+  const typeSortOrder = {
+    "minKey": 0, "undefined": 1, "null": 1, "int": 2, "long": 2, "double": 2, "decimal": 2, "symbol": 3, "string": 3,
+    "object": 4, "array": 5, "binData": 6, "objectId": 7, "bool": 8, "date": 9, "timestamp": 10, "regex": 11,
+    "maxKey": 12,
+  };
+  const type = getBsonTypeName(value);
+  return (type in typeSortOrder) ? typeSortOrder[type] : typeSortOrder.maxKey;
+}
+
+
+/**
+ * Get the name of the BSON data type of a value held in memory, matching the name which the $type
+ * aggregation operator returns. Recognises plain JavaScript values, the BSON classes used by the
+ * MongoDB Shell and Node.js driver, and Extended JSON type wrappers (e.g. {"$oid": ...})
+ */
+function getBsonTypeName(value) {
+  if (value === null) {
+    return "null";
+  } else if (value === undefined) {
+    return "undefined";
+  } else if (Array.isArray(value)) {
+    return "array";
+  }
+
+  switch (typeof value) {
+    case "string":
+      return "string";
+    case "boolean":
+      return "bool";
+    case "bigint":
+      return "long";
+    case "number":
+      // Whole numbers which fit in 32 bits are stored as BSON int32 values by the MongoDB drivers
+      return (Number.isInteger(value) && (value >= -2147483648) && (value <= 2147483647)) ? "int" : "double";
+  }
+
+  if (value instanceof Date) {
+    return "date";
+  } else if (value instanceof RegExp) {
+    return "regex";
+  } else if (value._bsontype) {
+    const bsonClassTypes = {
+      "ObjectId": "objectId", "ObjectID": "objectId", "Long": "long", "Int32": "int", "Double": "double",
+      "Decimal128": "decimal", "Binary": "binData", "Timestamp": "timestamp", "MinKey": "minKey",
+      "MaxKey": "maxKey", "BSONRegExp": "regex", "BSONSymbol": "symbol", "Symbol": "symbol", "DBRef": "object",
+    };
+
+    if (value._bsontype === "Code") {
+      return value.scope ? "javascriptWithScope" : "javascript";
+    }
+
+    return bsonClassTypes[value._bsontype] || "object";
+  }
+
+  const ejsonWrapperType = getEjsonWrapperTypeName(value);
+  return ejsonWrapperType || "object";
+}
+
+
+/**
+ * Get the name of the BSON data type represented by an Extended JSON type wrapper object (e.g.
+ * {"$oid": "..."} is an 'objectId'), or null if the object isn't a type wrapper
+ */
+function getEjsonWrapperTypeName(value) {
+  const ejsonWrapperTypes = {
+    "$oid": "objectId", "$date": "date", "$numberInt": "int", "$numberLong": "long", "$numberDouble": "double",
+    "$numberDecimal": "decimal", "$binary": "binData", "$timestamp": "timestamp", "$regularExpression": "regex",
+    "$regex": "regex", "$minKey": "minKey", "$maxKey": "maxKey", "$symbol": "symbol", "$undefined": "undefined",
+    "$dbPointer": "dbPointer",
+  };
+  const keys = Object.keys(value);
+
+  if ((keys.length === 0) || !keys[0].startsWith("$")) {
+    return null;
+  } else if (keys[0] === "$code") {
+    return ("$scope" in value) ? "javascriptWithScope" : "javascript";
+  } else {
+    return ejsonWrapperTypes[keys[0]] || null;
+  }
+}
+
+
+/**
+ * Compare two values of the same BSON data type (held in memory), returning a negative number,
+ * zero or a positive number if the first value is less than, equal to or greater than the second
+ */
+function compareBsonValues(valueA, valueB) {
+  const comparableA = getComparableValue(valueA);
+  const comparableB = getComparableValue(valueB);
+
+  if ((typeof comparableA === "number") && (typeof comparableB === "number")) {
+    return comparableA - comparableB;
+  }
+
+  return compareStrings(String(comparableA), String(comparableB));
+}
+
+
+/**
+ * Convert a value held in memory to a number or string which can be compared with another value of
+ * the same BSON data type
+ */
+function getComparableValue(value) {
+  switch (getBsonTypeName(value)) {
+    case "int":
+    case "long":
+    case "double":
+    case "decimal":
+      if ((typeof value === "object") && !value._bsontype) {
+        return Number(Object.values(value)[0]);
+      }
+
+      return Number(value.toString());
+    case "bool":
+      return value ? 1 : 0;
+    case "date":
+      if (value instanceof Date) {
+        return value.getTime();
+      }
+
+      // EJSON dates are either ISO strings or canonical {"$numberLong": ...} milliseconds
+      return (typeof value.$date === "string") ? Date.parse(value.$date) : Number(value.$date.$numberLong);
+    case "objectId":
+      return (value.$oid || value.toHexString()).toLowerCase();
+    case "string":
+      return value;
+    default:
+      return JSON.stringify(value);
+  }
+}
+
+
+/**
+ * Get the size in bytes and the subtype of a binData value held in memory, either as a BSON Binary
+ * object or an Extended JSON {"$binary": ...} type wrapper
+ */
+function getBinDataSizeAndSubtype(value) {
+  if (value._bsontype) {
+    return {"size": value.length(), "subtype": value.sub_type};
+  }
+
+  // Canonical EJSON nests the data & subtype in the wrapper, whereas legacy EJSON has them side by side
+  const base64 = (typeof value.$binary === "string") ? value.$binary : value.$binary.base64;
+  const subtype = (typeof value.$binary === "string") ? value.$type : value.$binary.subType;
+  const padding = (base64.match(/=+$/) || [""])[0].length;
+  return {"size": (base64.length * 3 / 4) - padding, "subtype": parseInt(subtype, 16)};
+}
+
+
+/**
+ * Create the initial running state for summarising the schemas of many documents client-side, as
+ * the stages generated by buildSchemaSummaryStages() do
+ */
+function createSchemaSummaryState(stats=["min", "max", "arraystats"], {sensitiveData=null, ...statsSettings} = {}) {
+  const statDefinitions = getSchemaSummaryStats(statsSettings);
+
+  for (const stat of stats) {
+    if (!(stat in statDefinitions)) {
+      throw `createSchemaSummaryState - unknown stat '${stat}', supported stats are: ${Object.keys(statDefinitions).join(", ")}`;
+    }
+  }
+
+  return {
+    "stats": stats.map(stat => statDefinitions[stat]),
+    "sensitiveData": getSensitiveDataSettings(sensitiveData),
+    "truncatedDocs": 0,
+    "requiredMaxElements": 0,
+    "pathInstances": new Map(),
+    "fieldTypes": new Map(),
+  };
+}
+
+
+/**
+ * Fold the extracted schema of one document (as produced by extractSchemaFromDocument()) into the
+ * running state for summarising the schemas of many documents, both overall and, if the variant of
+ * the document is given (see getVariantOfDocument()), for that variant
+ */
+function addDocumentToSchemaSummaryState(summaryState, extractedSchema, variant=null) {
+  if (extractedSchema.truncation) {
+    summaryState.truncatedDocs++;
+    summaryState.requiredMaxElements = Math.max(summaryState.requiredMaxElements, extractedSchema.truncation.requiredmaxelements);
+  }
+
+  addDocumentToSchemaSummaryStateForVariant(summaryState, extractedSchema, null);
+
+  if (variant !== null) {
+    addDocumentToSchemaSummaryStateForVariant(summaryState, extractedSchema, variant);
+  }
+}
+
+
+/**
+ * Fold the extracted schema of one document into the running state for summarising the schemas
+ * of many documents, for either the overall summary (a null variant) or one variant's summary
+ */
+function addDocumentToSchemaSummaryStateForVariant(summaryState, extractedSchema, variant) {
+  // Count each field once towards the number of documents containing it, however many sub-documents at its path have it
+  const documentFields = new Set();
+
+  for (const subdoc of extractedSchema.content) {
+    const pathKey = JSON.stringify([variant, subdoc.subdocpath]);
+    summaryState.pathInstances.set(pathKey, (summaryState.pathInstances.get(pathKey) || 0) + 1);
+    const firstDynamicKeyField = subdoc.schema.find(schemaField => schemaField.dynamickey !== undefined);
+
+    for (const schemaField of subdoc.schema) {
+      const key = JSON.stringify([variant, subdoc.subdocpath, schemaField.fieldname, schemaField.fieldtype]);
+
+      if (!summaryState.fieldTypes.has(key)) {
+        summaryState.fieldTypes.set(key, {
+          "variant": variant,
+          "path": subdoc.subdocpath,
+          "field": schemaField.fieldname,
+          "fieldtype": schemaField.fieldtype,
+          "count": 0,
+          "instances": 0,
+          "documents": 0,
+          "sampleKeys": new Set(),
+          "sensitiveCounts": {"values": 0, "matches": new Array(summaryState.sensitiveData ? summaryState.sensitiveData.categories.length : 0).fill(0)},
+          "statsState": {},
+        });
+      }
+
+      const fieldType = summaryState.fieldTypes.get(key);
+      fieldType.count++;
+
+      // A map-like sub-document is one instance of its '<dynamickey>' field, however many keys it has
+      if (!firstDynamicKeyField || (schemaField === firstDynamicKeyField)) {
+        fieldType.instances++;
+      }
+
+      const documentFieldKey = JSON.stringify([subdoc.subdocpath, schemaField.fieldname]);
+
+      if (!documentFields.has(documentFieldKey)) {
+        documentFields.add(documentFieldKey);
+        fieldType.documents++;
+      }
+
+      if (schemaField.dynamickey !== undefined) {
+        fieldType.sampleKeys.add(schemaField.dynamickey);
+      }
+
+      summaryState.stats.forEach(stat => stat.accumulateValue(fieldType.statsState, schemaField));
+
+      if (summaryState.sensitiveData && ["string", ...getSensitiveNumberTypes()].includes(schemaField.fieldtype)) {
+        const category = getSensitiveValueCategory(schemaField.fieldvalue, summaryState.sensitiveData.categories);
+        fieldType.sensitiveCounts.values++;
+
+        if (category !== null) {
+          fieldType.sensitiveCounts.matches[summaryState.sensitiveData.categories.findIndex(candidate => candidate.category === category)]++;
+        }
+      }
+    }
+  }
+}
+
+
+/**
+ * Produce the summarised schema from the running state for summarising the schemas of many
+ * documents, in the same structure and order as the stages generated by buildSchemaSummaryStages()
+ */
+function getSchemaSummaryFromState(summaryState) {
+  const fields = new Map();
+
+  const variantCounts = new Map();
+
+  for (const fieldType of summaryState.fieldTypes.values()) {
+    const key = JSON.stringify([fieldType.variant, fieldType.path, fieldType.field]);
+
+    if (!fields.has(key)) {
+      fields.set(key, {"variant": fieldType.variant, "path": fieldType.path, "field": fieldType.field, "fieldTypes": []});
+
+      // Count how many variants have each field, to spot the fields unique to one variant
+      if (fieldType.variant !== null) {
+        const fieldKey = JSON.stringify([fieldType.path, fieldType.field]);
+        variantCounts.set(fieldKey, (variantCounts.get(fieldKey) || 0) + 1);
+      }
+    }
+
+    fields.get(key).fieldTypes.push(fieldType);
+  }
+
+  // Each variant's summary of a field is classified by the overall summary's counts, so no variant can reveal the values of a flagged field
+  const sensitiveFields = new Map();
+
+  if (summaryState.sensitiveData) {
+    for (const {variant, path, field, fieldTypes} of fields.values()) {
+      if (variant === null) {
+        const sensitiveCounts = {
+          "values": fieldTypes.reduce((total, fieldType) => total + fieldType.sensitiveCounts.values, 0),
+          "matches": summaryState.sensitiveData.categories.map((category, index) => fieldTypes.reduce((total, fieldType) => total + fieldType.sensitiveCounts.matches[index], 0)),
+        };
+        sensitiveFields.set(JSON.stringify([path, field]), classifySensitiveField(path, field, sensitiveCounts, summaryState.sensitiveData));
+      }
+    }
+  }
+
+  const summary = [...fields.values()].map(({variant, path, field, fieldTypes}) => {
+    const count = fieldTypes.reduce((total, fieldType) => total + fieldType.count, 0);
+    const instances = fieldTypes.reduce((total, fieldType) => total + fieldType.instances, 0);
+    const documents = fieldTypes.reduce((total, fieldType) => total + fieldType.documents, 0);
+    const allSampleKeys = [...new Set(fieldTypes.flatMap(fieldType => [...fieldType.sampleKeys]))].sort(compareStrings).slice(0, getMaxSampleKeys());
+    const sampleKeys = summaryState.sensitiveData ? hideSensitiveSampleKeys(allSampleKeys, summaryState.sensitiveData) : allSampleKeys;
+    const pathInstances = summaryState.pathInstances.get(JSON.stringify([variant, path]));
+    const sensitiveData = sensitiveFields.get(JSON.stringify([path, field])) || null;
+    fieldTypes.sort((typeA, typeB) => (typeB.count - typeA.count) || compareStrings(typeA.fieldtype, typeB.fieldtype));
+    const types = fieldTypes.map(fieldType => Object.assign(
+      {"fieldtype": fieldType.fieldtype, "count": fieldType.count},
+      ...summaryState.stats.map(stat => stat.getOutputs(fieldType.statsState, fieldType.fieldtype))
+    ));
+
+    return {
+      ...((variant !== null) ? {"variant": variant} : {}),
+      "path": path,
+      "field": field,
+      "count": count,
+      "documents": documents,
+      "pathinstances": pathInstances,
+      "presence": roundTo2Places(instances / pathInstances * 100),
+      ...((variant !== null) ? {"variantonly": variantCounts.get(JSON.stringify([path, field])) === 1} : {}),
+      ...((sampleKeys.length > 0) ? {"samplekeys": sampleKeys} : {}),
+      "types": sensitiveData ? types.map(typeSummary => hideSensitiveValuesOfType(typeSummary, summaryState.sensitiveData.redact, sensitiveData)) : types,
+      ...(sensitiveData ? {"sensitivedata": sensitiveData} : {}),
+    };
+  });
+
+  summary.sort((fieldA, fieldB) => compareVariants(fieldA.variant || null, fieldB.variant || null) || compareStrings(fieldA.path, fieldB.path) || compareStrings(fieldA.field, fieldB.field));
+
+  if (summaryState.truncatedDocs > 0) {
+    summary.unshift({
+      "WARNING": getMaxElementsWarningMessage(),
+      "truncateddocuments": summaryState.truncatedDocs,
+      "suggestedmaxelements": summaryState.requiredMaxElements,
+    });
+  }
+
+  return summary;
+}
+
+
+/**
+ * Macro to generate the aggregation stages to compare two summarised schemas which have been
+ * combined into one stream of field summaries, each marked with a 'side' field of 'before' or
+ * 'after', producing the same result as diffSchemas()
+ */
+function buildSchemaDiffStages({typeShareThreshold=10, presenceThreshold=10} = {}) {
+  return [
+    // Leave out the summary of any truncated documents, and of each variant
+    {"$match": {
+      "truncateddocuments": {"$exists": false},
+      "variant": {"$exists": false},
+    }},
+
+    // Bring together the before and after summaries of each field (there's at most one per side, which $max picks out, ignoring the nulls)
+    {"$group": {
+      "_id": {"path": "$path", "field": "$field"},
+      "before": {"$max": {"$cond": [{"$eq": ["$side", "before"]}, "$$ROOT", null]}},
+      "after": {"$max": {"$cond": [{"$eq": ["$side", "after"]}, "$$ROOT", null]}},
+    }},
+
+    {"$sort": {
+      "_id.path": 1,
+      "_id.field": 1,
+    }},
+
+    {"$replaceWith": {
+      "$let": {
+        "vars": {
+          "beforeField": "$before",
+          "afterField": "$after",
+          "beforeTypes": {"$ifNull": ["$before.types", []]},
+          "afterTypes": {"$ifNull": ["$after.types", []]},
+          "beforePresence": {"$ifNull": ["$before.presence", 0]},
+          "afterPresence": {"$ifNull": ["$after.presence", 0]},
+        },
+        "in": {
+          "$let": {
+            "vars": {
+              // Pair up the before and after summaries of each type seen on both sides
+              "commonTypes": {
+                "$reduce": {
+                  "input": "$$afterTypes",
+                  "initialValue": [],
+                  "in": {
+                    "$let": {
+                      "vars": {
+                        "beforeType": {"$first": {"$filter": {"input": "$$beforeTypes", "as": "type", "cond": {"$eq": ["$$type.fieldtype", "$$this.fieldtype"]}}}},
+                      },
+                      "in": {
+                        "$concatArrays": [
+                          "$$value",
+                          {"$cond": [
+                            {"$ifNull": ["$$beforeType", false]},
+                            [{
+                              "fieldtype": "$$this.fieldtype",
+                              "beforeType": "$$beforeType",
+                              "afterType": "$$this",
+                              "beforeShare": {"$round": [{"$multiply": [{"$divide": ["$$beforeType.count", "$$beforeField.count"]}, 100]}, 2]},
+                              "afterShare": {"$round": [{"$multiply": [{"$divide": ["$$this.count", "$$afterField.count"]}, 100]}, 2]},
+                            }],
+                            [],
+                          ]},
+                        ]
+                      }
+                    }
+                  }
+                }
+              },
+            },
+            "in": {
+              "path": "$_id.path",
+              "field": "$_id.field",
+              "change": {"$switch": {
+                "branches": [
+                  {"case": {"$not": [{"$ifNull": ["$$beforeField", false]}]}, "then": "added"},
+                  {"case": {"$not": [{"$ifNull": ["$$afterField", false]}]}, "then": "removed"},
+                ],
+                "default": "changed",
+              }},
+              "addedtypes": {"$filter": {"input": "$$afterTypes.fieldtype", "cond": {"$not": [{"$in": ["$$this", "$$beforeTypes.fieldtype"]}]}}},
+              "removedtypes": {"$filter": {"input": "$$beforeTypes.fieldtype", "cond": {"$not": [{"$in": ["$$this", "$$afterTypes.fieldtype"]}]}}},
+              "typeshifts": {
+                "$map": {
+                  "input": {"$filter": {"input": "$$commonTypes", "cond": {"$gte": [{"$abs": {"$subtract": ["$$this.afterShare", "$$this.beforeShare"]}}, typeShareThreshold]}}},
+                  "in": {"fieldtype": "$$this.fieldtype", "before": "$$this.beforeShare", "after": "$$this.afterShare"},
+                }
+              },
+              "rangechanges": {
+                "$map": {
+                  "input": {"$filter": {"input": "$$commonTypes", "cond": {"$or": [
+                    {"$ne": ["$$this.beforeType.min", "$$this.afterType.min"]},
+                    {"$ne": ["$$this.beforeType.max", "$$this.afterType.max"]},
+                  ]}}},
+                  "in": {
+                    "fieldtype": "$$this.fieldtype",
+                    "before": {"min": "$$this.beforeType.min", "max": "$$this.beforeType.max"},
+                    "after": {"min": "$$this.afterType.min", "max": "$$this.afterType.max"},
+                  },
+                }
+              },
+              "presenceshift": {"$cond": [
+                {"$gte": [{"$abs": {"$subtract": ["$$afterPresence", "$$beforePresence"]}}, presenceThreshold]},
+                {"before": "$$beforePresence", "after": "$$afterPresence"},
+                "$$REMOVE",
+              ]},
+            }
+          }
+        }
+      }
+    }},
+
+    // Only keep the fields which have differences
+    {"$match": {
+      "$or": [
+        {"change": {"$ne": "changed"}},
+        {"addedtypes.0": {"$exists": true}},
+        {"removedtypes.0": {"$exists": true}},
+        {"typeshifts.0": {"$exists": true}},
+        {"rangechanges.0": {"$exists": true}},
+        {"presenceshift": {"$exists": true}},
+      ]
+    }},
+  ];
+}
+
+
+/**
+ * Convert a list of collection name patterns, where a '*' matches any run of characters (e.g.
+ * "tmp_*"), into one regular expression matching any of the names (or null if the list is empty),
+ * where any RegExp in the list is used as is
+ */
+function getCollectionNamePatternsRegex(patterns) {
+  if (patterns.length === 0) {
+    return null;
+  }
+
+  const alternatives = patterns.map(pattern => (pattern instanceof RegExp)
+    ? `(?:${pattern.source})`
+    : `^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`
+  );
+
+  return new RegExp(alternatives.join("|"));
+}
+
+
+/**
+ * Get the number of documents in a collection and their average BSON size in bytes, reading the
+ * storage statistics of a regular collection (summing the statistics of each shard) but having to
+ * inspect the documents of a view or time-series collection
+ */
+function getCollectionSizeStats(collection, type) {
+  if (type === "collection") {
+    const shards = collection.aggregate([{"$collStats": {"storageStats": {}}}]).toArray();
+    const documents = shards.reduce((total, shard) => total + shard.storageStats.count, 0);
+    const size = shards.reduce((total, shard) => total + shard.storageStats.size, 0);
+    return {"documents": documents, "avgdocumentsize": (documents > 0) ? Math.round(size / documents) : null};
+  }
+
+  const [stats] = collection.aggregate([
+    {"$group": {
+      "_id": null,
+      "documents": {"$sum": 1},
+      "avgdocumentsize": {"$avg": {"$bsonSize": "$$ROOT"}},
+    }},
+  ], {"allowDiskUse": true}).toArray();
+  return {"documents": stats ? stats.documents : 0, "avgdocumentsize": stats ? Math.round(stats.avgdocumentsize) : null};
+}
+
+
+/**
+ * Build the index of the field names and data types which appear in at least 'minCollections' of
+ * the given collections' summarised schemas, listing the collections (and the paths in each) where
+ * each appears, with the most widely shared first
+ */
+function buildSharedFieldIndex(collectionReports, minCollections) {
+  const index = new Map();
+
+  for (const collectionReport of collectionReports) {
+    for (const fieldSummary of getSummaryFields(collectionReport.summary)) {
+      // Array elements and map-like keys aren't named fields, so can't be matched across collections
+      if (["<arrayitem>", "<dynamickey>"].includes(fieldSummary.field)) {
+        continue;
+      }
+
+      for (const {fieldtype} of fieldSummary.types) {
+        const key = JSON.stringify([fieldSummary.field, fieldtype]);
+
+        if (!index.has(key)) {
+          index.set(key, {"field": fieldSummary.field, "fieldtype": fieldtype, "collections": new Map()});
+        }
+
+        const collectionPaths = index.get(key).collections;
+
+        if (!collectionPaths.has(collectionReport.name)) {
+          collectionPaths.set(collectionReport.name, []);
+        }
+
+        collectionPaths.get(collectionReport.name).push(joinSubdocPath(fieldSummary.path, fieldSummary.field));
+      }
+    }
+  }
+
+  const sharedFields = [...index.values()].filter(entry => entry.collections.size >= minCollections).map(entry => ({
+    "field": entry.field,
+    "fieldtype": entry.fieldtype,
+    "collectioncount": entry.collections.size,
+    "collections": [...entry.collections.entries()].map(([name, paths]) => ({"name": name, "paths": paths})),
+  }));
+  sharedFields.sort((entryA, entryB) => (entryB.collectioncount - entryA.collectioncount) || compareStrings(entryA.field, entryB.field) || compareStrings(entryA.fieldtype, entryB.fieldtype));
+  return sharedFields;
+}
+
+
+/**
+ * Get what a summarised schema expects of each document's fields (see
+ * buildSchemaConformanceStages()), being the data types of each field in 'expectedFields' (and
+ * which of those types are rare) and the paths of the sub-documents whose fields the summary knows
+ * in 'knownPaths'
+ */
+function getSchemaExpectations(summary, rareTypeShare) {
+  const summaryFields = getSummaryFields(summary);
+
+  return {
+    "expectedFields": summaryFields.map(fieldSummary => ({
+      "path": fieldSummary.path,
+      "field": fieldSummary.field,
+      "types": fieldSummary.types.map(type => type.fieldtype),
+      "raretypes": fieldSummary.types.filter(type => ((type.count / fieldSummary.count) * 100) < rareTypeShare).map(type => type.fieldtype),
+    })),
+    "knownPaths": ["", ...summaryFields
+      .filter(fieldSummary => fieldSummary.types.some(type => ["object", "array"].includes(type.fieldtype)))
+      .map(fieldSummary => joinSubdocPath(fieldSummary.path, fieldSummary.field))
+    ],
+  };
+}
+
+
+/**
+ * Client-side equivalent of the expression generated by buildSchemaConformanceStages(), getting
+ * the violations of a summarised schema's expectations (see getSchemaExpectations()) by a
+ * document's extracted schema (see extractSchemaFromDocuments())
+ */
+function getSchemaViolationsOfExtractedSchema(extractedSchema, {expectedFields, knownPaths}) {
+  const expectedFieldsByKey = new Map(expectedFields.map(expectedField => [JSON.stringify([expectedField.path, expectedField.field]), expectedField]));
+  const violations = extractedSchema.truncation ? [{"violation": "truncated"}] : [];
+
+  for (const subdoc of extractedSchema.content) {
+    for (const schemaField of subdoc.schema) {
+      const expectedField = expectedFieldsByKey.get(JSON.stringify([subdoc.subdocpath, schemaField.fieldname]));
+      let violation = null;
+
+      if (!expectedField) {
+        violation = knownPaths.includes(subdoc.subdocpath) ? "unexpectedpath" : null;
+      } else if (!expectedField.types.includes(schemaField.fieldtype)) {
+        violation = "unexpectedtype";
+      } else if (expectedField.raretypes.includes(schemaField.fieldtype)) {
+        violation = "raretype";
+      }
+
+      const isRepeat = violations.some(existing => (existing.violation === violation) && (existing.path === subdoc.subdocpath) &&
+        (existing.field === schemaField.fieldname) && (existing.fieldtype === schemaField.fieldtype));
+
+      if (violation && !isRepeat) {
+        violations.push({"violation": violation, "path": subdoc.subdocpath, "field": schemaField.fieldname, "fieldtype": schemaField.fieldtype});
+      }
+    }
+  }
+
+  return violations;
+}
+
+
+/**
+ * Index the fields of the summarised schema by the path an index key would use for them (i.e.
+ * without the '<arrayitem>' parts, as indexes traverse arrays implicitly), giving for each the
+ * percentage of sampled documents holding it, the data types an index on it would hold and the
+ * paths of any arrays an index on it would traverse, plus the set of all the array paths
+ */
+function getIndexableSchemaPaths(summary) {
+  const fieldsByPath = groupSummaryFieldsByPath(summary);
+  const fields = getSummaryFields(summary).filter(fieldSummary => !["<arrayitem>", "<dynamickey>"].includes(fieldSummary.field));
+  const toKeyPath = path => path.split(".").filter(part => part !== "<arrayitem>").join(".");
+  // The number of sampled documents is the number of instances of the root path
+  const sampledDocs = Math.max(0, ...fields.filter(fieldSummary => fieldSummary.path === "").map(fieldSummary => fieldSummary.pathinstances));
+  const schemaPaths = {"byPath": new Map(), "arrayPaths": new Set()};
+
+  for (const fieldSummary of fields) {
+    const fieldPath = joinSubdocPath(fieldSummary.path, fieldSummary.field);
+    const types = fieldSummary.types.flatMap(type => (type.fieldtype === "array") ? getArrayElementTypes(fieldsByPath, fieldPath) : [type.fieldtype]);
+
+    if (fieldSummary.types.some(type => type.fieldtype === "array")) {
+      schemaPaths.arrayPaths.add(toKeyPath(fieldPath));
+    }
+
+    schemaPaths.byPath.set(toKeyPath(fieldPath), {
+      "presence": (sampledDocs > 0) ? roundTo2Places((fieldSummary.documents / sampledDocs) * 100) : 0,
+      "types": [...new Set(types)],
+    });
+  }
+
+  for (const [keyPath, pathInfo] of schemaPaths.byPath) {
+    pathInfo.arrayPaths = getArrayPathsOfKeyPath(keyPath, schemaPaths);
+  }
+
+  return schemaPaths;
+}
+
+
+/**
+ * Get the paths of the arrays an index key path traverses, being the key's own path and the paths
+ * of its parent sub-documents wherever arrays were seen
+ */
+function getArrayPathsOfKeyPath(keyPath, schemaPaths) {
+  const parts = keyPath.split(".");
+  return parts.map((part, position) => parts.slice(0, position + 1).join(".")).filter(path => schemaPaths.arrayPaths.has(path));
+}
+
+
+/**
+ * Get the field paths of an index's keys, including the fields of a text index (held in its
+ * 'weights' rather than its keys) but leaving out wildcard keys, which don't name a field
+ */
+function getIndexKeyPaths(index) {
+  const keyPaths = [
+    ...Object.keys(index.key).filter(key => !["_fts", "_ftsx"].includes(key)),
+    ...Object.keys(index.weights || {}),
+  ];
+
+  return [...new Set(keyPaths.filter(keyPath => !keyPath.endsWith("$**")))];
+}
+
+
+/**
+ * Get the fields of a summarised schema which may hold references to other documents, being those
+ * holding ObjectIds, strings or ints (directly or as array elements), each with its field path (as
+ * queried, so without any '<arrayitem>' parts), the candidate data types and whether it holds one
+ * reference or an array of them. Fields under map-like sub-documents are left out, as they have no
+ * single path to query.
+ */
+function getReferenceCandidateFields(summary) {
+  const referenceTypes = ["objectId", "string", "int"];
+  const candidates = [];
+
+  for (const [keyPath, pathInfo] of getIndexableSchemaPaths(summary).byPath) {
+    const fieldtypes = pathInfo.types.filter(type => referenceTypes.includes(type));
+
+    if ((fieldtypes.length > 0) && !keyPath.split(".").includes("<dynamickey>")) {
+      candidates.push({
+        "field": keyPath,
+        "fieldtypes": fieldtypes,
+        "cardinality": (pathInfo.arrayPaths.length > 0) ? "one-to-many" : "one-to-one",
+      });
+    }
+  }
+
+  candidates.sort((candidateA, candidateB) => compareStrings(candidateA.field, candidateB.field));
+  return candidates;
+}
+
+
+/**
+ * Get the distinct values of the given data types from the values of a field sampled from many
+ * documents, flattening any arrays (which a path through arrays of sub-documents may nest)
+ */
+function getDistinctReferenceValues(sampledValues, fieldtypes) {
+  const distinctValues = new Map();
+  const addValue = value => {
+    if (Array.isArray(value)) {
+      value.forEach(addValue);
+    } else if (fieldtypes.includes(getBsonTypeName(value))) {
+      distinctValues.set(`${getBsonTypeName(value)}:${String(value)}`, value);
+    }
+  };
+
+  sampledValues.forEach(addValue);
+  return [...distinctValues.values()];
+}
+
+
+///////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////// TESTS //////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////////////////////////
+
+
+/**
+ * Run an aggregation pipeline and compare its result with the expected result, throwing an error
+ * if different
+ */ 
+function runAggPipelineAndErrorIfDifferent(funcName, pipeline, expectedResult) {
+  const result = db.aggregate(pipeline).toArray();
+  checkResultAndErrorIfDifferent(funcName, result, expectedResult);
+}
+
+
+/**
+ * Compare a result with the expected result, throwing an error if different
+ */
+function checkResultAndErrorIfDifferent(funcName, result, expectedResult) {
+  print(`\n\n----- ${funcName} ------\n`);
+  print("EXPECTED RESULT:");
+  print(expectedResult);
+  print("ACTUAL RESULT:");
+  print(result);
+  print();
+
+  if (JSON.stringify(result) != JSON.stringify(expectedResult)) {
+    throw `${funcName} - TEST FAILED`;  
+  }
+}
+
+
+/**
+ * Get the sets of example documents used by the tests, keyed by name
+ */
+function getTestDocuments() {
+  return {
+    "nested": [
+      {
+        "a": 1,
+        "b": [1,2,3],
+        "c": {"a": 1, "b": 2, "c": 3},
+        "d": [{"x": 1}, {"y": 2}, {"z": 3}],
+        "e": [{"p": [{"q": 1}, {"r": 2}]}],
+      },
+      {
+        "other": true,
+      },
+    ],
+
+    "varied": [
+      {
+        "a": 1,
+        "b": [1, "two", 3],
+        "c": {"a": 1, "b": 2},
+        "d": [{"x": 1}, {"x": "y"}],
+      },
+      {
+        "a": 3,
+        "b": [],
+        "c": null,
+        "d": [{"x": 2}, 5],
+      },
+      {
+        "other": true,
+      },
+    ],
+
+    "scalars": [
+      {
+        "name": "widget",
+        "price": 9.99,
+        "created": new Date("2022-06-01T10:00:00Z"),
+        "matrix": [[1, 2], [3.5], []],
+        "empty": {},
+        "flags": [true, null, {"on": false}],
+      },
+      {
+        "name": "gadget",
+        "price": 120,
+        "created": new Date("2021-01-15T08:30:00Z"),
+        "matrix": [],
+        "flags": [false],
+      },
+    ],
+
+    "dynamic": [
+      {
+        "sku": "A1",
+        "daily": {"2026-01-01": {"views": 3}, "2026-01-02": {"views": 5, "clicks": 1}},
+        "roles": {"64b7f0c2a1b2c3d4e5f60718": "admin", "64b7f0c2a1b2c3d4e5f60719": "viewer"},
+        "attrs": {"colour": "red", "size": 9, "weight": 1.5},
+        "history": [{"2026-01-01": [1, 2]}],
+      },
+      {
+        "sku": "B2",
+        "daily": {},
+        "attrs": {"colour": "blue"},
+      },
+    ],
+
+    "repeated": [
+      {"code": 101, "status": "open", "tags": ["new", "urgent"]},
+      {"code": 102, "status": "closed", "tags": ["new"]},
+      {"code": 103, "status": "open", "tags": []},
+      {"code": 104, "status": "pending"},
+      {"code": 105, "status": "open", "tags": ["urgent"]},
+      {"code": 106, "status": "closed"},
+    ],
+
+    "measured": [
+      {"name": "naïve", "qty": 2, "price": 1.5, "created": new Date("2024-01-15T00:00:00Z"), "thumbnail": BinData(0, "AAECAw==")},
+      {"name": "widget", "qty": 4, "price": 2.5, "created": new Date("2024-01-20T12:00:00Z"), "thumbnail": BinData(4, "EjRWeJASNFZ4kBI0VniQEg==")},
+      {"name": "gizmos", "qty": 9, "created": new Date("2024-03-01T00:00:00Z")},
+    ],
+
+    "legacy": [
+      {"ref": "62ab8bae760c0de490851e89", "created": "2024-01-15", "amount": "12.50", "contact": "a@example.com", "code": "ABC-1"},
+      {"ref": "62ab8bae760c0de490851e8a", "created": "2024-01-20T12:00:00Z", "amount": "7", "contact": "none", "code": "XYZ-22"},
+      {"ref": "1f0c4c2e-9b7a-4d7e-8a4e-2b9f3c1d5e6f", "created": "yesterday", "amount": 3.5, "code": "123"},
+    ],
+
+    "variants": [
+      {"type": "book", "title": "A", "pages": 100, "status": "new"},
+      {"type": "book", "title": "B", "pages": 200, "status": "used"},
+      {"type": "film", "title": "C", "minutes": 90, "status": "new"},
+      {"type": "film", "title": "D", "minutes": 120, "rating": "PG", "status": "used"},
+      {"title": "E", "status": "new"},
+    ],
+
+    "personal": [
+      {"type": "customer", "fullname": "Ann Lee", "email": "ann.lee@example.com", "phone": "+44 20 7946 0958", "cardnumber": "4111 1111 1111 1111", "lastip": "192.168.0.12", "city": "New York", "notes": "Call back"},
+      {"type": "customer", "fullname": "Bob Stone", "email": "bob@example.org", "phone": "(555) 123-4567", "cardnumber": "5500-0000-0000-0004", "lastip": "2001:db8::1", "city": "Paris", "ssn": "078-05-1120"},
+      {"type": "supplier", "fullname": "Acme Ltd", "contacts": ["sales@acme.example", "support@acme.example"], "phone": "0800 123 4567", "ref": "1234 5678 9012 3456", "lastip": "10.0.0.1", "created": "2024-01-15", "opens": "09:30:00"},
+    ],
+  };
+}
+
+
+/**
+ * TEST: getNestedChildrenOfSubdoc
+ * Requires MongoDB version 5.1+
+ */ 
+function test_getNestedChildrenOfSubdoc_1() {
+  const expectedResult = [
+    {
+      children: [
+        { key: 'b', value: { '<arrayitem>': 1 } },
+        { key: 'b', value: { '<arrayitem>': 2 } },
+        { key: 'b', value: { '<arrayitem>': 3 } },
+        { key: 'c', value: { a: 1, b: 2, c: 3 } },
+        { key: 'd', value: { x: 1 } },
+        { key: 'd', value: { y: 2 } },
+        { key: 'd', value: { z: 3 } },
+        {
+          key: 'e',
+          value: { p: [ { q: 1 }, { r: 2 } ] }
+        }
+      ]
+    },
+    { children: [] }
+  ];
+
+  const pipeline = [
+    {"$documents": [
+      {
+        "a": 1,
+        "b": [1,2,3],
+        "c": {"a": 1, "b": 2, "c": 3},
+        "d": [{"x": 1}, {"y": 2}, {"z": 3}],
+        "e": [{"p": [{"q": 1}, {"r": 2}]}],
+      },
+      {
+        "other": true,
+      },
+    ]},
+    
+    {"$project": {
+      "_id": 0,
+      "children": getNestedChildrenOfSubdoc("$$ROOT"),
+    }},    
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_getNestedChildrenOfSubdoc_1.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildObjectMetadata
+ * Requires MongoDB version 5.1+
+ */ 
+function test_buildArrayOfSchemaMetadataFields_1(serverVersion="5.0") {
+  const expectedResult = [
+    {
+      recordList: [
+        [ { k: 'id', v: 1 } ],
+        [ { k: 'depth', v: 1 } ],
+        [ { k: 'index', v: '0' } ],
+        [ { k: 'subdocpath', v: '' } ],
+        [
+          {
+            k: 'schema',
+            v: [
+              { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
+              {
+                fieldname: 'b',
+                fieldvalue: '<array>',
+                fieldtype: 'array',
+                arraylength: 3,
+                arraycontent: 'scalars'
+              },
+              {
+                fieldname: 'c',
+                fieldvalue: '<object>',
+                fieldtype: 'object'
+              },
+              {
+                fieldname: 'd',
+                fieldvalue: '<array>',
+                fieldtype: 'array',
+                arraylength: 3,
+                arraycontent: 'objects'
+              },
+              {
+                fieldname: 'e',
+                fieldvalue: '<array>',
+                fieldtype: 'array',
+                arraylength: 1,
+                arraycontent: 'objects'
+              }
+            ]
+          }
+        ]
+      ]
+    },
+    {
+      recordList: [
+        [ { k: 'id', v: 1 } ],
+        [ { k: 'depth', v: 2 } ],
+        [ { k: 'index', v: '0_1_2_3' } ],
+        [ { k: 'subdocpath', v: 'x.y.z' } ],
+        [
+          {
+            k: 'schema',
+            v: [
+              { fieldname: 'other', fieldvalue: true, fieldtype: 'bool' }
+            ]
+          }
+        ]
+      ]
+    }
+  ];
+  
+  const pipeline = [
+    {"$documents": [
+      {
+        "depth": 1,
+        "index": "0",
+        "subdocpath": "",
+        "subdoc": {                   
+          "a": 1,
+          "b": [1,2,3],
+          "c": {"a": 1, "b": 2, "c": 3},
+          "d": [{"x": 1}, {"y": 2}, {"z": 3}],
+          "e": [{"p": [{"q": 1}, {"r": 2}]}],
+        },
+      },
+      {
+        "depth": 2,
+        "index": "0_1_2_3",
+        "subdocpath": "x.y.z",
+        "subdoc": {                   
+          "other": true,
+        },
+      },
+    ]},
+    
+    {"$project": {
+      "_id": 0,
+      "recordList": buildArrayOfSchemaMetadataFields("$$ROOT", 1, getTraversalSettings({serverVersion})),
+    }},    
+  ];
+
+  runAggPipelineAndErrorIfDifferent(`${test_buildArrayOfSchemaMetadataFields_1.name} (serverVersion ${serverVersion})`, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: constructQueueMember
+ * Requires MongoDB version 5.1+
+ */ 
+function test_constructQueueMember_1(serverVersion="5.0") {
+  const expectedResult = [
+    {
+      recordList: [
+        {
+          depth: 1,
+          index: '1_0',
+          subdocpath: 'b',
+          subdoc: { '<arrayitem>': 1 }
+        },
+        {
+          depth: 1,
+          index: '1_1',
+          subdocpath: 'b',
+          subdoc: { '<arrayitem>': 2 }
+        },
+        {
+          depth: 1,
+          index: '1_2',
+          subdocpath: 'c',
+          subdoc: { a: 1, b: 2, c: 3 }
+        },
+        { depth: 1, index: '1_3', subdocpath: 'd', subdoc: { z: 3 } },
+        {
+          depth: 1,
+          index: '1_4',
+          subdocpath: 'e',
+          subdoc: { p: [ { q: 1 }, { r: 2 } ] }
+        }
+      ]
+    },
+    {
+      recordList: [
+        {
+          depth: 1,
+          index: '1_0',
+          subdocpath: 'b',
+          subdoc: { '<arrayitem>': 3 }
+        },
+        { depth: 1, index: '1_1', subdocpath: 'd', subdoc: { x: 1 } },
+        { depth: 1, index: '1_2', subdocpath: 'd', subdoc: { y: 2 } }
+      ]
+    }
+  ]
+
+  const pipeline = [
+    {"$documents": [
+      {"children": [
+          { key: 'b', value: { '<arrayitem>': 1 } },
+          { key: 'b', value: { '<arrayitem>': 2 } },
+          { key: 'c', value: { a: 1, b: 2, c: 3 } },
+          { key: 'd', value: { z: 3 } },
+          {
+            key: 'e',
+            value: { p: [ { q: 1 }, { r: 2 } ] }
+          }
+      ]},
+      {"children": [
+          { key: 'b', value: { '<arrayitem>': 3 } },
+          { key: 'd', value: { x: 1 } },
+          { key: 'd', value: { y: 2 } },
+      ]},
+    ]},
+
+    {"$project": {
+      "_id": 0,
+      "recordList": constructQueueMember("$children", "1", "", 1, getTraversalSettings({serverVersion}))
+    }},    
+  ];
+
+  runAggPipelineAndErrorIfDifferent(`${test_constructQueueMember_1.name} (serverVersion ${serverVersion})`, pipeline, expectedResult);  
+}
+
+
+/**
+ * TEST: extractSchema
+ * Requires MongoDB version 5.1+
+ */ 
+function test_extractSchema_1(serverVersion="5.0") {
+  const expectedResult = [
+    {
+      content: [
+        {
+          id: 0,
+          depth: 0,
+          index: '0',
+          subdocpath: '',
+          schema: [
+            { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
+            {
+              fieldname: 'b',
+              fieldvalue: '<array>',
+              fieldtype: 'array',
+              arraylength: 3,
+              arraycontent: 'scalars'
+            },
+            {
+              fieldname: 'c',
+              fieldvalue: '<object>',
+              fieldtype: 'object'
+            },
+            {
+              fieldname: 'd',
+              fieldvalue: '<array>',
+              fieldtype: 'array',
+              arraylength: 3,
+              arraycontent: 'objects'
+            },
+            {
+              fieldname: 'e',
+              fieldvalue: '<array>',
+              fieldtype: 'array',
+              arraylength: 1,
+              arraycontent: 'objects'
+            }
+          ]
+        },
+        {
+          id: 1,
+          depth: 1,
+          index: '0_0',
+          subdocpath: 'b',
+          schema: [
+            { fieldname: '<arrayitem>', fieldvalue: 1, fieldtype: 'int' }
+          ]
+        },
+        {
+          id: 2,
+          depth: 1,
+          index: '0_1',
+          subdocpath: 'b',
+          schema: [
+            { fieldname: '<arrayitem>', fieldvalue: 2, fieldtype: 'int' }
+          ]
+        },
+        {
+          id: 3,
+          depth: 1,
+          index: '0_2',
+          subdocpath: 'b',
+          schema: [
+            { fieldname: '<arrayitem>', fieldvalue: 3, fieldtype: 'int' }
+          ]
+        },
+        {
+          id: 4,
+          depth: 1,
+          index: '0_3',
+          subdocpath: 'c',
+          schema: [
+            { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
+            { fieldname: 'b', fieldvalue: 2, fieldtype: 'int' },
+            { fieldname: 'c', fieldvalue: 3, fieldtype: 'int' }
+          ]
+        },
+        {
+          id: 5,
+          depth: 1,
+          index: '0_4',
+          subdocpath: 'd',
+          schema: [ { fieldname: 'x', fieldvalue: 1, fieldtype: 'int' } ]
+        },
+        {
+          id: 6,
+          depth: 1,
+          index: '0_5',
+          subdocpath: 'd',
+          schema: [ { fieldname: 'y', fieldvalue: 2, fieldtype: 'int' } ]
+        },
+        {
+          id: 7,
+          depth: 1,
+          index: '0_6',
+          subdocpath: 'd',
+          schema: [ { fieldname: 'z', fieldvalue: 3, fieldtype: 'int' } ]
+        },
+        {
+          id: 8,
+          depth: 1,
+          index: '0_7',
+          subdocpath: 'e',
+          schema: [
+            {
+              fieldname: 'p',
+              fieldvalue: '<array>',
+              fieldtype: 'array',
+              arraylength: 2,
+              arraycontent: 'objects'
+            }
+          ]
+        },
+        {
+          id: 9,
+          depth: 2,
+          index: '0_7_0',
+          subdocpath: 'e.p',
+          schema: [ { fieldname: 'q', fieldvalue: 1, fieldtype: 'int' } ]
+        },
+        {
+          id: 10,
+          depth: 2,
+          index: '0_7_1',
+          subdocpath: 'e.p',
+          schema: [ { fieldname: 'r', fieldvalue: 2, fieldtype: 'int' } ]
+        }
+      ],
+      objectsToProcessQueue: []
+    },
+    {
+      content: [
+        {
+          id: 0,
+          depth: 0,
+          index: '0',
+          subdocpath: '',
+          schema: [ { fieldname: 'other', fieldvalue: true, fieldtype: 'bool' } ]
+        }
+      ],
+      objectsToProcessQueue: []
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().nested},
+
+    {"$replaceWith": 
+      extractSchema(500, {serverVersion})
+    },
+  ];
+
+  runAggPipelineAndErrorIfDifferent(`${test_extractSchema_1.name} (serverVersion ${serverVersion})`, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: extractSchema (only uses $getField for MongoDB version 5+)
+ */
+function test_extractSchema_2() {
+  const expectedResult = [true, false, false];
+  const result = [extractSchema(500), extractSchema(500, {"serverVersion": "4.4"}), extractSchema(500, {"serverVersion": "4.2.1"})].map(expression => JSON.stringify(expression).includes("$getField"));
+  checkResultAndErrorIfDifferent(test_extractSchema_2.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaSummaryStages
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaSummaryStages_1() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'a',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        { fieldtype: 'int', count: 2, min: 2, max: 5 },
+        { fieldtype: 'string', count: 1, min: 'abc', max: 'abc' }
+      ]
+    },
+    {
+      path: '',
+      field: 'b',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [
+        {
+          fieldtype: 'array',
+          count: 2,
+          arraystats: {
+            minlength: 1,
+            maxlength: 2,
+            avglength: 1.5,
+            empty: 0,
+            objects: 2,
+            scalars: 0,
+            mixed: 0
+          }
+        }
+      ]
+    },
+    {
+      path: 'b',
+      field: 'x',
+      count: 3,
+      documents: 2,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        { fieldtype: 'string', count: 2, min: 'bye', max: 'hello' },
+        { fieldtype: 'int', count: 1, min: 7, max: 7 }
+      ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": [
+      {"content": [
+        {
+          id: 0,
+          depth: 0,
+          index: '0',
+          subdocpath: '',
+          schema: [
+            { fieldname: 'a', fieldvalue: 5, fieldtype: 'int' },
+            { fieldname: 'b', fieldvalue: '<array>', fieldtype: 'array', arraylength: 2, arraycontent: 'objects' },
+          ]
+        },
+        {
+          id: 1,
+          depth: 1,
+          index: '0_0',
+          subdocpath: 'b',
+          schema: [ { fieldname: 'x', fieldvalue: 'hello', fieldtype: 'string' } ]
+        },
+        {
+          id: 2,
+          depth: 1,
+          index: '0_1',
+          subdocpath: 'b',
+          schema: [ { fieldname: 'x', fieldvalue: 7, fieldtype: 'int' } ]
+        },
+      ]},
+      {"content": [
+        {
+          id: 0,
+          depth: 0,
+          index: '0',
+          subdocpath: '',
+          schema: [
+            { fieldname: 'a', fieldvalue: 'abc', fieldtype: 'string' },
+            { fieldname: 'b', fieldvalue: '<array>', fieldtype: 'array', arraylength: 1, arraycontent: 'objects' },
+          ]
+        },
+        {
+          id: 1,
+          depth: 1,
+          index: '0_0',
+          subdocpath: 'b',
+          schema: [ { fieldname: 'x', fieldvalue: 'bye', fieldtype: 'string' } ]
+        },
+      ]},
+      {"content": [
+        {
+          id: 0,
+          depth: 0,
+          index: '0',
+          subdocpath: '',
+          schema: [ { fieldname: 'a', fieldvalue: 2, fieldtype: 'int' } ]
+        },
+      ]},
+    ]},
+
+    ...buildSchemaSummaryStages(),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaSummaryStages_1.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_1(serverVersion="5.0") {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'a',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 2, max: 3 } ]
+    },
+    {
+      path: '',
+      field: 'b',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'array',
+          count: 2,
+          arraystats: {
+            minlength: 0,
+            maxlength: 3,
+            avglength: 1.5,
+            empty: 1,
+            objects: 0,
+            scalars: 1,
+            mixed: 0
+          }
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'c',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'null', count: 1 }, { fieldtype: 'object', count: 1 } ]
+    },
+    {
+      path: '',
+      field: 'd',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'array',
+          count: 2,
+          arraystats: {
+            minlength: 2,
+            maxlength: 2,
+            avglength: 2,
+            empty: 0,
+            objects: 1,
+            scalars: 0,
+            mixed: 1
+          }
+        }
+      ]
+    },
+    {
+      path: 'b',
+      field: '<arrayitem>',
+      count: 3,
+      documents: 1,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        { fieldtype: 'int', count: 2, max: 3 },
+        { fieldtype: 'string', count: 1, max: 'two' }
+      ]
+    },
+    {
+      path: 'c',
+      field: 'a',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 1, max: 1 } ]
+    },
+    {
+      path: 'c',
+      field: 'b',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 1, max: 2 } ]
+    },
+    {
+      path: 'd',
+      field: '<arrayitem>',
+      count: 1,
+      documents: 1,
+      pathinstances: 4,
+      presence: 25,
+      types: [ { fieldtype: 'int', count: 1, max: 5 } ]
+    },
+    {
+      path: 'd',
+      field: 'x',
+      count: 3,
+      documents: 2,
+      pathinstances: 4,
+      presence: 75,
+      types: [ { fieldtype: 'int', count: 2, max: 2 }, { fieldtype: 'string', count: 1, max: 'y' } ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().varied},
+
+    ...buildSchemaAnalysisPipeline({"filter": {"other": {"$exists": false}}, "serverVersion": serverVersion, "stats": ["max", "arraystats"]}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(`${test_buildSchemaAnalysisPipeline_1.name} (serverVersion ${serverVersion})`, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (collapsing map-like sub-documents)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_2() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'attrs',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'object', count: 2 } ]
+    },
+    {
+      path: '',
+      field: 'daily',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'object', count: 2 } ]
+    },
+    {
+      path: '',
+      field: 'history',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      types: [ { fieldtype: 'array', count: 1 } ]
+    },
+    {
+      path: '',
+      field: 'roles',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      types: [ { fieldtype: 'object', count: 1 } ]
+    },
+    {
+      path: '',
+      field: 'sku',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 2, max: 'B2' } ]
+    },
+    {
+      path: 'attrs',
+      field: 'colour',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 2, max: 'red' } ]
+    },
+    {
+      path: 'attrs',
+      field: 'size',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      types: [ { fieldtype: 'int', count: 1, max: 9 } ]
+    },
+    {
+      path: 'attrs',
+      field: 'weight',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      types: [ { fieldtype: 'double', count: 1, max: 1.5 } ]
+    },
+    {
+      path: 'daily',
+      field: '<dynamickey>',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      samplekeys: [ '2026-01-01', '2026-01-02' ],
+      types: [ { fieldtype: 'object', count: 2 } ]
+    },
+    {
+      path: 'daily.<dynamickey>',
+      field: 'clicks',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      types: [ { fieldtype: 'int', count: 1, max: 1 } ]
+    },
+    {
+      path: 'daily.<dynamickey>',
+      field: 'views',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 2, max: 5 } ]
+    },
+    {
+      path: 'history',
+      field: '<dynamickey>',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      samplekeys: [ '2026-01-01' ],
+      types: [ { fieldtype: 'array', count: 1 } ]
+    },
+    {
+      path: 'history.<dynamickey>',
+      field: '<arrayitem>',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 2, max: 2 } ]
+    },
+    {
+      path: 'roles',
+      field: '<dynamickey>',
+      count: 2,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      samplekeys: [ '64b7f0c2a1b2c3d4e5f60718', '64b7f0c2a1b2c3d4e5f60719' ],
+      types: [ { fieldtype: 'string', count: 2, max: 'viewer' } ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().dynamic},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "dynamicKeys": true, "stats": ["max"]}),
+  ];
+
+  // The order of the sampled keys isn't defined, so sort them to be able to compare them
+  const result = db.aggregate(pipeline).toArray().map(fieldSummary =>
+    fieldSummary.samplekeys ? {...fieldSummary, "samplekeys": [...fieldSummary.samplekeys].sort(compareStrings)} : fieldSummary
+  );
+  checkResultAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_2.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (summarising truncated documents)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_3() {
+  const expectedResult = [
+    {
+      WARNING: "The 'maxElements' parameter wasn't set to a large enough value to fully traverse the document's nested content",
+      truncateddocuments: 2,
+      suggestedmaxelements: 11
+    },
+    {
+      path: '',
+      field: 'a',
+      count: 3,
+      documents: 3,
+      pathinstances: 5,
+      presence: 60,
+      types: [ { fieldtype: 'int', count: 3 } ]
+    },
+    {
+      path: '',
+      field: 'b',
+      count: 3,
+      documents: 3,
+      pathinstances: 5,
+      presence: 60,
+      types: [ { fieldtype: 'array', count: 3 } ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": [...getTestDocuments().nested, ...getTestDocuments().varied]},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "maxElements": 4, "stats": []}),
+
+    {"$limit": 3},
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_3.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (profiling the most common values)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_4() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'code',
+      count: 6,
+      documents: 6,
+      pathinstances: 6,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'int',
+          count: 6,
+          distinctvalues: 6,
+          enumcandidate: false,
+          topvalues: [ { value: 101, count: 1 }, { value: 102, count: 1 } ]
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'status',
+      count: 6,
+      documents: 6,
+      pathinstances: 6,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 6,
+          distinctvalues: 3,
+          enumcandidate: true,
+          topvalues: [ { value: 'open', count: 3 }, { value: 'closed', count: 2 } ]
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'tags',
+      count: 4,
+      documents: 4,
+      pathinstances: 6,
+      presence: 66.67,
+      types: [ { fieldtype: 'array', count: 4 } ]
+    },
+    {
+      path: 'tags',
+      field: '<arrayitem>',
+      count: 4,
+      documents: 3,
+      pathinstances: 4,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 4,
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: 'new', count: 2 }, { value: 'urgent', count: 2 } ]
+        }
+      ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().repeated},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["topvalues"], "maxTopValues": 2, "maxEnumValues": 3}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_4.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (computing the type specific stats)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_5() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'created',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'date',
+          count: 3,
+          datestats: {
+            earliest: new Date('2024-01-15T00:00:00.000Z'),
+            latest: new Date('2024-03-01T00:00:00.000Z'),
+            spandays: 46,
+            distribution: [ { yearmonth: '2024-01', count: 2 }, { yearmonth: '2024-03', count: 1 } ]
+          }
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'name',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 3,
+          stringstats: { minlength: 5, maxlength: 6, avglength: 5.67 }
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'price',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [ { fieldtype: 'double', count: 2, numberstats: { mean: 2, stddev: 0.5 } } ]
+    },
+    {
+      path: '',
+      field: 'qty',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [ { fieldtype: 'int', count: 3, numberstats: { mean: 5, stddev: 2.94 } } ]
+    },
+    {
+      path: '',
+      field: 'thumbnail',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [
+        {
+          fieldtype: 'binData',
+          count: 2,
+          bindatastats: { minsize: 4, maxsize: 16, avgsize: 10, subtypes: [ 0, 4 ] }
+        }
+      ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().measured},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["stringstats", "numberstats", "datestats", "bindatastats"]}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_5.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (classifying strings by the patterns they match)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_6() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'amount',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          stringsubtypes: [ { subtype: 'string:numeric', count: 2, share: 100 } ]
+        },
+        { fieldtype: 'double', count: 1 }
+      ]
+    },
+    {
+      path: '',
+      field: 'code',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 3,
+          stringsubtypes: [
+            { subtype: 'string:sku', count: 2, share: 66.67 },
+            { subtype: 'string:numeric', count: 1, share: 33.33 }
+          ]
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'contact',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [ { fieldtype: 'string', count: 2, stringsubtypes: [] } ]
+    },
+    {
+      path: '',
+      field: 'created',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 3,
+          stringsubtypes: [ { subtype: 'string:iso-date', count: 2, share: 66.67 } ]
+        }
+      ]
+    },
+    {
+      path: '',
+      field: 'ref',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 3,
+          stringsubtypes: [
+            { subtype: 'string:objectid-hex', count: 2, share: 66.67 },
+            { subtype: 'string:uuid', count: 1, share: 33.33 }
+          ]
+        }
+      ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().legacy},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["stringsubtypes"], "stringPatterns": {"sku": /^[A-Z]{3}-[0-9]+$/, "email": null}}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_6.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (summarising each variant told apart by a discriminator)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_7() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'minutes',
+      count: 2,
+      documents: 2,
+      pathinstances: 5,
+      presence: 40,
+      types: [ { fieldtype: 'int', count: 2 } ]
+    },
+    {
+      path: '',
+      field: 'pages',
+      count: 2,
+      documents: 2,
+      pathinstances: 5,
+      presence: 40,
+      types: [ { fieldtype: 'int', count: 2 } ]
+    },
+    {
+      path: '',
+      field: 'rating',
+      count: 1,
+      documents: 1,
+      pathinstances: 5,
+      presence: 20,
+      types: [ { fieldtype: 'string', count: 1 } ]
+    },
+    {
+      path: '',
+      field: 'status',
+      count: 5,
+      documents: 5,
+      pathinstances: 5,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 5 } ]
+    },
+    {
+      path: '',
+      field: 'title',
+      count: 5,
+      documents: 5,
+      pathinstances: 5,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 5 } ]
+    },
+    {
+      path: '',
+      field: 'type',
+      count: 4,
+      documents: 4,
+      pathinstances: 5,
+      presence: 80,
+      types: [ { fieldtype: 'string', count: 4 } ]
+    },
+    {
+      variant: { type: null },
+      path: '',
+      field: 'status',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 1 } ]
+    },
+    {
+      variant: { type: null },
+      path: '',
+      field: 'title',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 1 } ]
+    },
+    {
+      variant: { type: 'book' },
+      path: '',
+      field: 'pages',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: true,
+      types: [ { fieldtype: 'int', count: 2 } ]
+    },
+    {
+      variant: { type: 'book' },
+      path: '',
+      field: 'status',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    },
+    {
+      variant: { type: 'book' },
+      path: '',
+      field: 'title',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    },
+    {
+      variant: { type: 'book' },
+      path: '',
+      field: 'type',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    },
+    {
+      variant: { type: 'film' },
+      path: '',
+      field: 'minutes',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: true,
+      types: [ { fieldtype: 'int', count: 2 } ]
+    },
+    {
+      variant: { type: 'film' },
+      path: '',
+      field: 'rating',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      variantonly: true,
+      types: [ { fieldtype: 'string', count: 1 } ]
+    },
+    {
+      variant: { type: 'film' },
+      path: '',
+      field: 'status',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    },
+    {
+      variant: { type: 'film' },
+      path: '',
+      field: 'title',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    },
+    {
+      variant: { type: 'film' },
+      path: '',
+      field: 'type',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [ { fieldtype: 'string', count: 2 } ]
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().variants},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": [], "discriminators": ["type"]}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_7.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (flagging the fields likely to hold personal data)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_8() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'cardnumber',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [ { fieldtype: 'string', count: 2 } ],
+      sensitivedata: { category: 'cardnumber', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'city',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [ { fieldtype: 'string', count: 2, max: 'Paris' } ]
+    },
+    {
+      path: '',
+      field: 'contacts',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'array', count: 1 } ]
+    },
+    {
+      path: '',
+      field: 'created',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'string', count: 1, max: '2024-01-15' } ]
+    },
+    {
+      path: '',
+      field: 'email',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [ { fieldtype: 'string', count: 2 } ],
+      sensitivedata: { category: 'email', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'fullname',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 3 } ],
+      sensitivedata: { category: 'personname', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'lastip',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 3 } ],
+      sensitivedata: { category: 'ipaddress', confidence: 60, namematch: false, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'notes',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'string', count: 1, max: 'Call back' } ]
+    },
+    {
+      path: '',
+      field: 'opens',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'string', count: 1, max: '09:30:00' } ]
+    },
+    {
+      path: '',
+      field: 'phone',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 3 } ],
+      sensitivedata: { category: 'phone', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'ref',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'string', count: 1, max: '1234 5678 9012 3456' } ]
+    },
+    {
+      path: '',
+      field: 'ssn',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [ { fieldtype: 'string', count: 1 } ],
+      sensitivedata: { category: 'nationalid', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'type',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 3, max: 'supplier' } ]
+    },
+    {
+      path: 'contacts',
+      field: '<arrayitem>',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 100,
+      types: [ { fieldtype: 'string', count: 2 } ],
+      sensitivedata: { category: 'email', confidence: 60, namematch: false, valueshare: 100 }
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().personal},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["max"], "sensitiveData": true}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_8.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaAnalysisPipeline (masking the values of the fields likely to hold personal data, including for each variant)
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaAnalysisPipeline_9() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'email',
+      count: 2,
+      documents: 2,
+      pathinstances: 3,
+      presence: 66.67,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          min: '***.***@*******.***',
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: '***.***@*******.***', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'email', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'lastip',
+      count: 3,
+      documents: 3,
+      pathinstances: 3,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 3,
+          min: '**.*.*.*',
+          distinctvalues: 3,
+          enumcandidate: true,
+          topvalues: [ { value: '**.*.*.*', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'ipaddress', confidence: 60, namematch: false, valueshare: 100 }
+    },
+    {
+      path: '',
+      field: 'ssn',
+      count: 1,
+      documents: 1,
+      pathinstances: 3,
+      presence: 33.33,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 1,
+          min: '***-**-****',
+          distinctvalues: 1,
+          enumcandidate: true,
+          topvalues: [ { value: '***-**-****', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'nationalid', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      path: 'contacts',
+      field: '<arrayitem>',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 100,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          min: '*****@****.*******',
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: '*****@****.*******', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'email', confidence: 60, namematch: false, valueshare: 100 }
+    },
+    {
+      variant: { type: 'customer' },
+      path: '',
+      field: 'email',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: true,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          min: '***.***@*******.***',
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: '***.***@*******.***', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'email', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      variant: { type: 'customer' },
+      path: '',
+      field: 'lastip',
+      count: 2,
+      documents: 2,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: false,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          min: '***.***.*.**',
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: '***.***.*.**', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'ipaddress', confidence: 60, namematch: false, valueshare: 100 }
+    },
+    {
+      variant: { type: 'customer' },
+      path: '',
+      field: 'ssn',
+      count: 1,
+      documents: 1,
+      pathinstances: 2,
+      presence: 50,
+      variantonly: true,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 1,
+          min: '***-**-****',
+          distinctvalues: 1,
+          enumcandidate: true,
+          topvalues: [ { value: '***-**-****', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'nationalid', confidence: 100, namematch: true, valueshare: 100 }
+    },
+    {
+      variant: { type: 'supplier' },
+      path: '',
+      field: 'lastip',
+      count: 1,
+      documents: 1,
+      pathinstances: 1,
+      presence: 100,
+      variantonly: false,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 1,
+          min: '**.*.*.*',
+          distinctvalues: 1,
+          enumcandidate: true,
+          topvalues: [ { value: '**.*.*.*', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'ipaddress', confidence: 60, namematch: false, valueshare: 100 }
+    },
+    {
+      variant: { type: 'supplier' },
+      path: 'contacts',
+      field: '<arrayitem>',
+      count: 2,
+      documents: 1,
+      pathinstances: 2,
+      presence: 100,
+      variantonly: true,
+      types: [
+        {
+          fieldtype: 'string',
+          count: 2,
+          min: '*****@****.*******',
+          distinctvalues: 2,
+          enumcandidate: true,
+          topvalues: [ { value: '*****@****.*******', count: 1 } ]
+        }
+      ],
+      sensitivedata: { category: 'email', confidence: 60, namematch: false, valueshare: 100 }
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().personal},
+
+    ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["min", "topvalues"], "maxTopValues": 1, "discriminators": ["type"], "sensitiveData": {"redact": true, "minConfidence": 60}}),
+
+    {"$match": {
+      "field": {"$in": ["email", "lastip", "<arrayitem>", "ssn"]},
+    }},
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaAnalysisPipeline_9.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: buildDiscriminatorCandidatesPipeline
+ * Requires MongoDB version 5.1+
+ */
+function test_buildDiscriminatorCandidatesPipeline_1() {
+  const expectedResult = [
+    {
+      field: 'type',
+      documents: 4,
+      values: [ { value: 'book', documents: 2 }, { value: 'film', documents: 2 } ],
+      score: 83.33
+    },
+    {
+      field: 'status',
+      documents: 5,
+      values: [ { value: 'new', documents: 3 }, { value: 'used', documents: 2 } ],
+      score: 29.17
+    }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().variants},
+
+    ...buildDiscriminatorCandidatesPipeline({"sampleSize": null, "maxValues": 4}),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildDiscriminatorCandidatesPipeline_1.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: extractSchema (restricting which sub-documents are descended into)
+ * Requires MongoDB version 5.1+
+ */
+function test_extractSchema_3() {
+  const expectedResult = [
+    [ { subdocpaths: [ '', 'b', 'b', 'b', 'c', 'e' ] }, { subdocpaths: [ '' ] } ],
+    [
+      {
+        subdocpaths: [
+          '',  'b', 'b', 'b',
+          'c', 'd', 'd', 'd',
+          'e'
+        ]
+      },
+      { subdocpaths: [ '' ] }
+    ],
+    [ { subdocpaths: [ '', 'e', 'e.p', 'e.p' ] }, { subdocpaths: [ '' ] } ],
+    [ { subdocpaths: [ '', 'c', 'e' ] }, { subdocpaths: [ '' ] } ],
+    [
+      {
+        subdocpaths: [
+          '',  'b', 'b', 'b',
+          'c', 'd', 'd', 'd',
+          'e'
+        ]
+      },
+      { subdocpaths: [ '' ] }
+    ],
+    [ { subdocpaths: [ '' ] }, { subdocpaths: [ '' ] } ]
+  ];
+
+  const extractOptionsToTest = [
+    {"excludePaths": ["d", "e.p"]},
+    {"excludePaths": ["*.p"]},
+    {"includePaths": ["e.p"]},
+    {"includePaths": ["c", "e"], "excludePaths": ["e.*"]},
+    {"maxDepth": 1},
+    {"maxDepth": 0},
+  ];
+
+  const result = extractOptionsToTest.map(extractOptions => db.aggregate([
+    {"$documents": getTestDocuments().nested},
+
+    {"$replaceWith": extractSchema(500, extractOptions)},
+
+    {"$project": {
+      "_id": 0,
+      "subdocpaths": "$content.subdocpath",
+    }},
+  ]).toArray());
+
+  checkResultAndErrorIfDifferent(test_extractSchema_3.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: extractSchema (recording the truncation of a document which can't be fully traversed)
+ * Requires MongoDB version 5.1+
+ */
+function test_extractSchema_4() {
+  const expectedResult = [
+    {
+      subdocpaths: [ '', 'b', 'b' ],
+      truncation: {
+        WARNING: "The 'maxElements' parameter wasn't set to a large enough value to fully traverse the document's nested content",
+        unprocessed: 6,
+        unprocessedpaths: [ 'b', 'c', 'd', 'e' ],
+        depthreached: 1,
+        requiredmaxelements: 11
+      }
+    },
+    { subdocpaths: [ '' ] }
+  ];
+
+  const pipeline = [
+    {"$documents": getTestDocuments().nested},
+
+    {"$replaceWith": extractSchema(3)},
+
+    {"$project": {
+      "_id": 0,
+      "subdocpaths": "$content.subdocpath",
+      "truncation": 1,
+    }},
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_extractSchema_4.name, pipeline, expectedResult);
+}
+
+
+/**
+ * TEST: extractSchema (bounding the levels of nesting looped over by the document's size, which
+ * still fully traverses a document nested as deeply as its size allows)
+ * Requires MongoDB version 5.1+
+ */
+function test_extractSchema_5() {
+  const expectedResult = [
+    { levels: 4, depths: [ 0, 1, 2, 3 ], queued: 0 },
+    { levels: 2, depths: [ 0 ], queued: 0 }
+  ];
+
+  const pipeline = [
+    {"$documents": [
+      {"": {"": {"": {}}}},
+      {"a": 1},
+    ]},
+
+    {"$replaceWith": {
+      "maxlevels": buildMaxNestingLevelsExpression("$$ROOT", getTraversalSettings()),
+      "schema": extractSchema(500),
+    }},
+
+    {"$replaceWith": {
+      "levels": "$maxlevels",
+      "depths": "$schema.content.depth",
+      "queued": {"$size": "$schema.objectsToProcessQueue"},
+    }},
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_extractSchema_5.name, pipeline, expectedResult);
+}
+
+
+/**
+ * Get an example of the summarised schema output by the pipeline generated by
+ * buildSchemaAnalysisPipeline(), for testing the functions which consume the summary
+ */
+function getTestSchemaSummary() {
+  return [
+    {path: '', field: '_id', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'objectId', count: 10}]},
+    {path: '', field: 'address', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'object', count: 10}]},
+    {path: '', field: 'age', count: 6, documents: 6, pathinstances: 10, presence: 60, types: [{fieldtype: 'int', count: 5}, {fieldtype: 'null', count: 1}]},
+    {path: '', field: 'matrix', count: 2, documents: 2, pathinstances: 10, presence: 20, types: [{fieldtype: 'array', count: 2}]},
+    {path: '', field: 'name', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'string', count: 10}]},
+    {path: '', field: 'orders', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'array', count: 10}]},
+    {path: '', field: 'tags', count: 8, documents: 8, pathinstances: 10, presence: 80, types: [{fieldtype: 'array', count: 8}]},
+    {path: 'address', field: 'city', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'string', count: 10}]},
+    {path: 'address', field: 'zip', count: 5, documents: 5, pathinstances: 10, presence: 50, types: [{fieldtype: 'string', count: 4}, {fieldtype: 'int', count: 1}]},
+    {path: 'matrix', field: '<arrayitem>', count: 3, documents: 2, pathinstances: 3, presence: 100, types: [{fieldtype: 'array', count: 3}]},
+    {path: 'matrix.<arrayitem>', field: '<arrayitem>', count: 6, documents: 2, pathinstances: 6, presence: 100, types: [{fieldtype: 'double', count: 6}]},
+    {path: 'orders', field: 'qty', count: 25, documents: 10, pathinstances: 25, presence: 100, types: [{fieldtype: 'int', count: 25}]},
+    {path: 'orders', field: 'sku', count: 20, documents: 9, pathinstances: 25, presence: 80, types: [{fieldtype: 'string', count: 20}]},
+    {path: 'tags', field: '<arrayitem>', count: 12, documents: 8, pathinstances: 12, presence: 100, types: [{fieldtype: 'string', count: 12}]},
+  ];
+}
+
+
+/**
+ * TEST: generateJsonSchemaValidator
+ */
+function test_generateJsonSchemaValidator_1() {
+  const expectedResult = {
+    '$jsonSchema': {
+      bsonType: 'object',
+      required: [ '_id', 'address', 'name', 'orders' ],
+      properties: {
+        _id: { bsonType: 'objectId' },
+        address: {
+          bsonType: 'object',
+          required: [ 'city' ],
+          properties: { city: { bsonType: 'string' }, zip: { bsonType: [ 'string', 'int' ] } }
+        },
+        age: { bsonType: [ 'int', 'null' ] },
+        matrix: { bsonType: 'array', items: { bsonType: 'array', items: { bsonType: 'double' } } },
+        name: { bsonType: 'string' },
+        orders: {
+          bsonType: 'array',
+          items: {
+            bsonType: 'object',
+            required: [ 'qty' ],
+            properties: { qty: { bsonType: 'int' }, sku: { bsonType: 'string' } }
+          }
+        },
+        tags: { bsonType: 'array', items: { bsonType: 'string' } }
+      }
+    }
+  };
+
+  const result = generateJsonSchemaValidator(getTestSchemaSummary());
+  checkResultAndErrorIfDifferent(test_generateJsonSchemaValidator_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateJsonSchemaValidator (strict with a lower required threshold)
+ */
+function test_generateJsonSchemaValidator_2() {
+  const expectedResult = {
+    '$jsonSchema': {
+      bsonType: 'object',
+      required: [ '_id', 'address', 'name', 'orders', 'tags' ],
+      properties: {
+        _id: { bsonType: 'objectId' },
+        address: {
+          bsonType: 'object',
+          required: [ 'city' ],
+          properties: { city: { bsonType: 'string' }, zip: { bsonType: [ 'string', 'int' ] } },
+          additionalProperties: false
+        },
+        age: { bsonType: [ 'int', 'null' ] },
+        matrix: { bsonType: 'array', items: { bsonType: 'array', items: { bsonType: 'double' } } },
+        name: { bsonType: 'string' },
+        orders: {
+          bsonType: 'array',
+          items: {
+            bsonType: 'object',
+            required: [ 'qty', 'sku' ],
+            properties: { qty: { bsonType: 'int' }, sku: { bsonType: 'string' } },
+            additionalProperties: false
+          }
+        },
+        tags: { bsonType: 'array', items: { bsonType: 'string' } }
+      },
+      additionalProperties: false
+    }
+  };
+
+  const result = generateJsonSchemaValidator(getTestSchemaSummary(), {"requiredThreshold": 80, "strict": true});
+  checkResultAndErrorIfDifferent(test_generateJsonSchemaValidator_2.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateJsonSchemaValidator (map-like sub-documents)
+ */
+function test_generateJsonSchemaValidator_3() {
+  const expectedResult = {
+    '$jsonSchema': {
+      bsonType: 'object',
+      required: [ 'attrs', 'daily', 'sku' ],
+      properties: {
+        attrs: {
+          bsonType: 'object',
+          required: [ 'colour' ],
+          properties: {
+            colour: { bsonType: 'string' },
+            size: { bsonType: 'int' },
+            weight: { bsonType: 'double' }
+          },
+          additionalProperties: false
+        },
+        daily: {
+          bsonType: 'object',
+          properties: {},
+          additionalProperties: {
+            bsonType: 'object',
+            required: [ 'views' ],
+            properties: { clicks: { bsonType: 'int' }, views: { bsonType: 'int' } },
+            additionalProperties: false
+          }
+        },
+        history: {
+          bsonType: 'array',
+          items: {
+            bsonType: 'object',
+            properties: {},
+            additionalProperties: { bsonType: 'array', items: { bsonType: 'int' } }
+          }
+        },
+        roles: { bsonType: 'object', properties: {}, additionalProperties: { bsonType: 'string' } },
+        sku: { bsonType: 'string' }
+      },
+      additionalProperties: false
+    }
+  };
+
+  const summary = summarizeSchemaFromDocuments(getTestDocuments().dynamic, {"dynamicKeys": true});
+  const result = generateJsonSchemaValidator(summary, {"strict": true});
+  checkResultAndErrorIfDifferent(test_generateJsonSchemaValidator_3.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateTypeScriptInterfaces
+ */
+function test_generateTypeScriptInterfaces_1() {
+  const expectedResult = [
+    'import { ObjectId } from "mongodb";',
+    '',
+    'export interface Document {',
+    '  _id: ObjectId;',
+    '  address: DocumentAddress;',
+    '  age?: number | null;',
+    '  matrix?: number[][];',
+    '  name: string;',
+    '  orders: DocumentOrders[];',
+    '  tags?: string[];',
+    '}',
+    '',
+    'export interface DocumentAddress {',
+    '  city: string;',
+    '  zip?: string | number;',
+    '}',
+    '',
+    'export interface DocumentOrders {',
+    '  qty: number;',
+    '  sku?: string;',
+    '}',
+    '',
+  ].join("\n");
+
+  const result = generateTypeScriptInterfaces(getTestSchemaSummary());
+  checkResultAndErrorIfDifferent(test_generateTypeScriptInterfaces_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateTypeScriptInterfaces (with map-like sub-documents)
+ */
+function test_generateTypeScriptInterfaces_2() {
+  const expectedResult = [
+    'export interface Product {',
+    '  attrs: ProductAttrs;',
+    '  daily: ProductDaily;',
+    '  history?: ProductHistory[];',
+    '  roles?: ProductRoles;',
+    '  sku: string;',
+    '}',
+    '',
+    'export interface ProductAttrs {',
+    '  colour: string;',
+    '  size?: number;',
+    '  weight?: number;',
+    '}',
+    '',
+    'export interface ProductDaily {',
+    '  [key: string]: ProductDailyValue;',
+    '}',
+    '',
+    'export interface ProductDailyValue {',
+    '  clicks?: number;',
+    '  views: number;',
+    '}',
+    '',
+    'export interface ProductHistory {',
+    '  [key: string]: number[];',
+    '}',
+    '',
+    'export interface ProductRoles {',
+    '  [key: string]: string;',
+    '}',
+    '',
+  ].join("\n");
+
+  const summary = summarizeSchemaFromDocuments(getTestDocuments().dynamic, {"dynamicKeys": true});
+  const result = generateTypeScriptInterfaces(summary, {"rootName": "Product"});
+  checkResultAndErrorIfDifferent(test_generateTypeScriptInterfaces_2.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateMongooseSchema
+ */
+function test_generateMongooseSchema_1() {
+  const expectedResult = [
+    'const { Schema } = require("mongoose");',
+    '',
+    'const documentSchema = new Schema({',
+    '  _id: { type: Schema.Types.ObjectId, required: true },',
+    '  address: {',
+    '    city: { type: String, required: true },',
+    '    zip: Schema.Types.Mixed,',
+    '  },',
+    '  age: Number,',
+    '  matrix: [[Number]],',
+    '  name: { type: String, required: true },',
+    '  orders: [new Schema({',
+    '    qty: { type: Number, required: true },',
+    '    sku: String,',
+    '  }, { _id: false })],',
+    '  tags: [String],',
+    '});',
+    '',
+  ].join("\n");
+
+  const result = generateMongooseSchema(getTestSchemaSummary());
+  checkResultAndErrorIfDifferent(test_generateMongooseSchema_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateMongooseSchema (with map-like sub-documents)
+ */
+function test_generateMongooseSchema_2() {
+  const expectedResult = [
+    'const { Schema } = require("mongoose");',
+    '',
+    'const productSchema = new Schema({',
+    '  attrs: {',
+    '    colour: { type: String, required: true },',
+    '    size: Number,',
+    '    weight: Number,',
+    '  },',
+    '  daily: { type: Map, of: new Schema({',
+    '    clicks: Number,',
+    '    views: { type: Number, required: true },',
+    '  }, { _id: false }) },',
+    '  history: [{ type: Map, of: [Number] }],',
+    '  roles: { type: Map, of: String },',
+    '  sku: { type: String, required: true },',
+    '});',
+    '',
+  ].join("\n");
+
+  const summary = summarizeSchemaFromDocuments(getTestDocuments().dynamic, {"dynamicKeys": true});
+  const result = generateMongooseSchema(summary, {"schemaName": "productSchema"});
+  checkResultAndErrorIfDifferent(test_generateMongooseSchema_2.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: generateMongooseSchema (with a sub-document which is only map-like in some documents)
+ */
+function test_generateMongooseSchema_3() {
+  const expectedResult = [
+    'const { Schema } = require("mongoose");',
+    '',
+    'const documentSchema = new Schema({',
+    '  metrics: { type: Schema.Types.Mixed, required: true },',
+    '  totals: { type: Map, of: Number },',
+    '});',
+    '',
+  ].join("\n");
+
+  const docs = [
+    {"metrics": {"2026-01-01": 1, "2026-01-02": 2}, "totals": {"2026-01-01": 3, "2026-01-02": 4}},
+    {"metrics": {"source": "import"}},
+  ];
+  const summary = summarizeSchemaFromDocuments(docs, {"dynamicKeys": true});
+  const result = generateMongooseSchema(summary);
+  checkResultAndErrorIfDifferent(test_generateMongooseSchema_3.name, result, expectedResult);
+}
+
+/**
+ * TEST: formatSchemaSummaryAsCsv
+ */
+function test_formatSchemaSummaryAsCsv_1() {
+  const expectedResult = [
+    'path,field,count,documents,pathinstances,presence,types',
+    ',_id,10,10,10,100,objectId (10)',
+    ',address,10,10,10,100,object (10)',
+    ',age,6,6,10,60,"int (5), null (1)"',
+    ',matrix,2,2,10,20,array (2)',
+    ',name,10,10,10,100,string (10)',
+    ',orders,10,10,10,100,array (10)',
+    ',tags,8,8,10,80,array (8)',
+    'address,city,10,10,10,100,string (10)',
+    'address,zip,5,5,10,50,"string (4), int (1)"',
+    'matrix,<arrayitem>,3,2,3,100,array (3)',
+    'matrix.<arrayitem>,<arrayitem>,6,2,6,100,double (6)',
+    'orders,qty,25,10,25,100,int (25)',
+    'orders,sku,20,9,25,80,string (20)',
+    'tags,<arrayitem>,12,8,12,100,string (12)',
+    '',
+  ].join("\n");
+
+  const result = formatSchemaSummaryAsCsv(getTestSchemaSummary());
+  checkResultAndErrorIfDifferent(test_formatSchemaSummaryAsCsv_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: formatSchemaSummaryAsMarkdown (with truncated documents and variants)
+ */
+function test_formatSchemaSummaryAsMarkdown_1() {
+  const expectedResult = [
+    `> **WARNING:** ${getMaxElementsWarningMessage()} (2 truncated documents, 'maxElements' needs to be at least 7)`,
+    '',
+    '| variant | path | field | count | documents | pathinstances | presence | types |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |',
+    '|  |  | kind | 4 | 4 | 4 | 100 | string (4) |',
+    '|  |  | note | 1 | 1 | 4 | 25 | string (1) |',
+    '| {"kind":"a\\|b"} |  | kind | 1 | 1 | 1 | 100 | string (1) |',
+    '| {"kind":"c"} |  | note | 1 | 1 | 3 | 33.33 | string (1) |',
+    '',
+  ].join("\n");
+
+  const summary = [
+    {WARNING: getMaxElementsWarningMessage(), truncateddocuments: 2, suggestedmaxelements: 7},
+    {path: '', field: 'kind', count: 4, documents: 4, pathinstances: 4, presence: 100, types: [{fieldtype: 'string', count: 4}]},
+    {path: '', field: 'note', count: 1, documents: 1, pathinstances: 4, presence: 25, types: [{fieldtype: 'string', count: 1}]},
+    {variant: {kind: 'a|b'}, path: '', field: 'kind', count: 1, documents: 1, pathinstances: 1, presence: 100, variantonly: false, types: [{fieldtype: 'string', count: 1}]},
+    {variant: {kind: 'c'}, path: '', field: 'note', count: 1, documents: 1, pathinstances: 3, presence: 33.33, variantonly: true, types: [{fieldtype: 'string', count: 1}]},
+  ];
+
+  const result = formatSchemaSummaryAsMarkdown(summary);
+  checkResultAndErrorIfDifferent(test_formatSchemaSummaryAsMarkdown_1.name, result, expectedResult);
+}
+
+
+/**
+ * Get an example of a summarised schema with nested arrays and sub-documents, for testing the
+ * rendering of the schema as a tree
+ */
+function getTestSchemaSummaryForTree() {
+  return [
+    {WARNING: getMaxElementsWarningMessage(), truncateddocuments: 1, suggestedmaxelements: 9},
+    {path: '', field: '_id', count: 3, documents: 3, pathinstances: 3, presence: 100, types: [{fieldtype: 'objectId', count: 3}]},
+    {path: '', field: 'lines', count: 3, documents: 3, pathinstances: 3, presence: 100, types: [
+      {fieldtype: 'array', count: 2, arraystats: {minlength: 0, maxlength: 3, avglength: 1.5, empty: 1, objects: 1, scalars: 0, mixed: 0}},
+      {fieldtype: 'null', count: 1},
+    ]},
+    {path: '', field: 'say"hi"', count: 1, documents: 1, pathinstances: 3, presence: 33.33, types: [{fieldtype: 'string', count: 1}]},
+    {path: 'lines', field: 'sku', count: 3, documents: 1, pathinstances: 3, presence: 100, types: [{fieldtype: 'string', count: 2}, {fieldtype: 'int', count: 1}]},
+    {path: 'lines', field: 'tags', count: 1, documents: 1, pathinstances: 3, presence: 33.33, types: [{fieldtype: 'array', count: 1}]},
+    {path: 'lines.tags', field: '<arrayitem>', count: 2, documents: 1, pathinstances: 2, presence: 100, types: [{fieldtype: 'string', count: 2}]},
+    {variant: {kind: 'a'}, path: '', field: '_id', count: 1, documents: 1, pathinstances: 1, presence: 100, variantonly: false, types: [{fieldtype: 'objectId', count: 1}]},
+  ];
+}
+
+
+/**
+ * TEST: formatSchemaSummaryAsMermaid (with nested arrays and truncated documents)
+ */
+function test_formatSchemaSummaryAsMermaid_1() {
+  const expectedResult = [
+    'flowchart LR',
+    `  %% WARNING: ${getMaxElementsWarningMessage()} (1 truncated documents, 'maxElements' needs to be at least 9)`,
+    '  n0["(document)<br/>3 documents"]',
+    '  n1["_id<br/>objectId 100%<br/>presence 100%"]',
+    '  n0 --> n1',
+    '  n2["lines<br/>array 66.67%, null 33.33%<br/>presence 100%<br/>array length 0-3 (avg 1.5)"]',
+    '  n0 --> n2',
+    '  n3["sku<br/>string 66.67%, int 33.33%<br/>presence 100%"]',
+    '  n2 --> n3',
+    '  n4["tags<br/>array 100%<br/>presence 33.33%"]',
+    '  n2 --> n4',
+    '  n5["#60;arrayitem#62;<br/>string 100%<br/>presence 100%"]',
+    '  n4 --> n5',
+    '  n6["say#34;hi#34;<br/>string 100%<br/>presence 33.33%"]',
+    '  n0 --> n6',
+    '',
+  ].join("\n");
+
+  const result = formatSchemaSummaryAsMermaid(getTestSchemaSummaryForTree());
+  checkResultAndErrorIfDifferent(test_formatSchemaSummaryAsMermaid_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: formatSchemaSummaryAsDot (with nested arrays and truncated documents)
+ */
+function test_formatSchemaSummaryAsDot_1() {
+  const expectedResult = [
+    'digraph schema {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica", fontsize=10];',
+    `  // WARNING: ${getMaxElementsWarningMessage()} (1 truncated documents, 'maxElements' needs to be at least 9)`,
+    '  n0 [label="(document)\\n3 documents"];',
+    '  n1 [label="_id\\nobjectId 100%\\npresence 100%"];',
+    '  n0 -> n1;',
+    '  n2 [label="lines\\narray 66.67%, null 33.33%\\npresence 100%\\narray length 0-3 (avg 1.5)"];',
+    '  n0 -> n2;',
+    '  n3 [label="sku\\nstring 66.67%, int 33.33%\\npresence 100%"];',
+    '  n2 -> n3;',
+    '  n4 [label="tags\\narray 100%\\npresence 33.33%"];',
+    '  n2 -> n4;',
+    '  n5 [label="<arrayitem>\\nstring 100%\\npresence 100%"];',
+    '  n4 -> n5;',
+    '  n6 [label="say\\"hi\\"\\nstring 100%\\npresence 33.33%"];',
+    '  n0 -> n6;',
+    '}',
+    '',
+  ].join("\n");
+
+  const result = formatSchemaSummaryAsDot(getTestSchemaSummaryForTree());
+  checkResultAndErrorIfDifferent(test_formatSchemaSummaryAsDot_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: formatSchemaSummaryAsHtml (with nested arrays and truncated documents)
+ */
+function test_formatSchemaSummaryAsHtml_1() {
+  const expectedResult = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Orders &lt;v2&gt;</title>',
+    '<style>',
+    '  body { font-family: Helvetica, Arial, sans-serif; font-size: 14px; margin: 2em; }',
+    '  ul { list-style: none; margin: 0; padding-left: 1.5em; border-left: 1px dotted #bbb; }',
+    '  li { margin: 0.2em 0; }',
+    '  summary { cursor: pointer; }',
+    '  .field { font-family: Menlo, Consolas, monospace; font-weight: bold; }',
+    '  .details { color: #555; }',
+    '  .warning { color: #a00; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>Orders &lt;v2&gt;</h1>',
+    `<p class="warning">WARNING: ${getMaxElementsWarningMessage()} (1 truncated documents, 'maxElements' needs to be at least 9)</p>`,
+    '<ul>',
+    '  <li><details open><summary><span class="field">(document)</span> <span class="details">3 documents</span></summary>',
+    '    <ul>',
+    '      <li><span class="field">_id</span> <span class="details">objectId 100% &middot; presence 100%</span></li>',
+    '      <li><details open><summary><span class="field">lines</span> <span class="details">array 66.67%, null 33.33% &middot; presence 100% &middot; array length 0-3 (avg 1.5)</span></summary>',
+    '        <ul>',
+    '          <li><span class="field">sku</span> <span class="details">string 66.67%, int 33.33% &middot; presence 100%</span></li>',
+    '          <li><details open><summary><span class="field">tags</span> <span class="details">array 100% &middot; presence 33.33%</span></summary>',
+    '            <ul>',
+    '              <li><span class="field">&lt;arrayitem&gt;</span> <span class="details">string 100% &middot; presence 100%</span></li>',
+    '            </ul>',
+    '          </details></li>',
+    '        </ul>',
+    '      </details></li>',
+    '      <li><span class="field">say&quot;hi&quot;</span> <span class="details">string 100% &middot; presence 33.33%</span></li>',
+    '    </ul>',
+    '  </details></li>',
+    '</ul>',
+    '</body>',
+    '</html>',
+    '',
+  ].join("\n");
+
+  const result = formatSchemaSummaryAsHtml(getTestSchemaSummaryForTree(), {"title": "Orders <v2>"});
+  checkResultAndErrorIfDifferent(test_formatSchemaSummaryAsHtml_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: listSensitiveFields
+ */
+function test_listSensitiveFields_1() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'cardnumber',
+      category: 'cardnumber',
+      confidence: 100,
+      namematch: true,
+      valueshare: 100
     },
     {
-      recordList: [
-        [ { k: 'id', v: 1 } ],
-        [ { k: 'depth', v: 2 } ],
-        [ { k: 'index', v: '0_1_2_3' } ],
-        [ { k: 'subdocpath', v: 'x.y.z' } ],
-        [
-          {
-            k: 'schema',
-            v: [
-              { fieldname: 'other', fieldvalue: true, fieldtype: 'bool' }
-            ]
-          }
-        ]
-      ]
+      path: '',
+      field: 'email',
+      category: 'email',
+      confidence: 100,
+      namematch: true,
+      valueshare: 100
+    },
+    {
+      path: '',
+      field: 'fullname',
+      category: 'personname',
+      confidence: 100,
+      namematch: true,
+      valueshare: 100
+    },
+    {
+      path: '',
+      field: 'phone',
+      category: 'phone',
+      confidence: 100,
+      namematch: true,
+      valueshare: 100
+    },
+    {
+      path: '',
+      field: 'ssn',
+      category: 'nationalid',
+      confidence: 100,
+      namematch: true,
+      valueshare: 100
+    },
+    {
+      path: '',
+      field: 'lastip',
+      category: 'ipaddress',
+      confidence: 60,
+      namematch: false,
+      valueshare: 100
+    },
+    {
+      path: 'contacts',
+      field: '<arrayitem>',
+      category: 'email',
+      confidence: 60,
+      namematch: false,
+      valueshare: 100
     }
   ];
-  
-  const pipeline = [
-    {"$documents": [
+
+  const summary = summarizeSchemaFromDocuments(getTestDocuments().personal, {"discriminators": ["type"], "sensitiveData": true});
+  const result = listSensitiveFields(summary);
+  checkResultAndErrorIfDifferent(test_listSensitiveFields_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: listSensitiveFields (only matching whole words of field names, and leaving out rather than masking the values of a field flagged by its name alone)
+ * Requires MongoDB version 5.1+
+ */
+function test_listSensitiveFields_2() {
+  const expectedResult = {
+    sensitivefields: [
       {
-        "depth": 1,
-        "index": "0",
-        "subdocpath": "",
-        "subdoc": {                   
-          "a": 1,
-          "b": [1,2,3],
-          "c": {"a": 1, "b": 2, "c": 3},
-          "d": [{"x": 1}, {"y": 2}, {"z": 3}],
-          "e": [{"p": [{"q": 1}, {"r": 2}]}],
-        },
+        path: '',
+        field: 'contactEmail',
+        category: 'email',
+        confidence: 100,
+        namematch: true,
+        valueshare: 100
       },
       {
-        "depth": 2,
-        "index": "0_1_2_3",
-        "subdocpath": "x.y.z",
-        "subdoc": {                   
-          "other": true,
-        },
+        path: '',
+        field: 'customerIPAddress',
+        category: 'ipaddress',
+        confidence: 100,
+        namematch: true,
+        valueshare: 100
+      },
+      {
+        path: '',
+        field: 'email',
+        category: 'email',
+        confidence: 40,
+        namematch: true,
+        valueshare: 0
+      }
+    ],
+    emailtypes: [ { fieldtype: 'string', count: 2 } ]
+  };
+
+  const docs = [
+    {"company": "Acme Ltd", "span": "3 days", "cancelled": "no", "hotel": "Grand Hotel", "email": "n/a", "contactEmail": "ann@example.com", "customerIPAddress": "10.0.0.1"},
+    {"company": "Panorama Inc", "span": "1 week", "cancelled": "yes", "hotel": "Park Hotel", "email": "unknown", "contactEmail": "bob@example.org", "customerIPAddress": "10.0.0.2"},
+  ];
+
+  const getResult = summary => ({"sensitivefields": listSensitiveFields(summary), "emailtypes": summary.find(fieldSummary => fieldSummary.field === "email").types});
+  const pipeline = [{"$documents": docs}, ...buildSchemaAnalysisPipeline({"sampleSize": null, "stats": ["min", "max"], "sensitiveData": {"redact": true}})];
+  checkResultAndErrorIfDifferent(test_listSensitiveFields_2.name, getResult(db.aggregate(pipeline).toArray()), expectedResult);
+  const clientSummary = summarizeSchemaFromDocuments(docs, {"stats": ["min", "max"], "sensitiveData": {"redact": true}});
+  checkResultAndErrorIfDifferent(`${test_listSensitiveFields_2.name} (client-side)`, getResult(clientSummary), expectedResult);
+}
+
+
+/**
+ * TEST: listSensitiveFields (flagging card and phone numbers held as numbers, and masking or leaving out the sample keys of a map keyed by email addresses)
+ * Requires MongoDB version 5.1+
+ */
+function test_listSensitiveFields_3() {
+  const expectedResult = {
+    sensitivefields: [
+      {
+        path: '',
+        field: 'card_number',
+        category: 'cardnumber',
+        confidence: 100,
+        namematch: true,
+        valueshare: 100
       },
+      {
+        path: '',
+        field: 'phone',
+        category: 'phone',
+        confidence: 100,
+        namematch: true,
+        valueshare: 100
+      }
+    ],
+    rangedfields: [ 'orders', '<dynamickey>' ],
+    samplekeys: null,
+    redactedsamplekeys: [ '***@*******.***', '***@*******.***', '***@*******.***', '***@*******.***' ]
+  };
+
+  const docs = [
+    {"card_number": 4111111111111111, "phone": 4155552671, "orders": 3, "visits": {"ann@example.com": 2, "bob@example.org": 5}},
+    {"card_number": 5500005555555559, "phone": 2125550199, "orders": 12, "visits": {"cat@example.net": 1, "dan@example.com": 4}},
+  ];
+
+  const options = {"stats": ["min", "max"], "dynamicKeys": {"minKeys": 2}};
+  const getSampleKeys = summary => summary.find(fieldSummary => fieldSummary.field === "<dynamickey>").samplekeys ?? null;
+  const getResult = (summary, redactedSummary) => ({
+    "sensitivefields": listSensitiveFields(summary),
+    "rangedfields": summary.filter(fieldSummary => fieldSummary.types.some(typeSummary => typeSummary.min !== undefined)).map(fieldSummary => fieldSummary.field),
+    "samplekeys": getSampleKeys(summary),
+    "redactedsamplekeys": getSampleKeys(redactedSummary),
+  });
+  const getPipeline = sensitiveData => [{"$documents": docs}, ...buildSchemaAnalysisPipeline({"sampleSize": null, ...options, sensitiveData})];
+  const result = getResult(db.aggregate(getPipeline(true)).toArray(), db.aggregate(getPipeline({"redact": true})).toArray());
+  checkResultAndErrorIfDifferent(test_listSensitiveFields_3.name, result, expectedResult);
+  const clientResult = getResult(summarizeSchemaFromDocuments(docs, {...options, "sensitiveData": true}),
+                                 summarizeSchemaFromDocuments(docs, {...options, "sensitiveData": {"redact": true}}));
+  checkResultAndErrorIfDifferent(`${test_listSensitiveFields_3.name} (client-side)`, clientResult, expectedResult);
+}
+
+/**
+ * Get examples of a summarised schema before and after some changes to a collection's data, for
+ * testing the schema comparison functions
+ */
+function getTestSchemaSummariesToCompare() {
+  const before = [
+    {path: '', field: '_id', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'objectId', count: 10}]},
+    {path: '', field: 'legacy', count: 5, documents: 5, pathinstances: 10, presence: 50, types: [{fieldtype: 'string', count: 5, min: 'a', max: 'z'}]},
+    {path: '', field: 'price', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'double', count: 10, min: 1.5, max: 99}]},
+    {path: '', field: 'status', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'string', count: 9, min: 'active', max: 'new'}, {fieldtype: 'null', count: 1}]},
+    {path: 'items', field: 'qty', count: 20, documents: 10, pathinstances: 20, presence: 100, types: [{fieldtype: 'int', count: 20, min: 1, max: 5}]},
+  ];
+
+  const after = [
+    {path: '', field: '_id', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'objectId', count: 10}]},
+    {path: '', field: 'price', count: 10, documents: 10, pathinstances: 10, presence: 100, types: [{fieldtype: 'double', count: 7, min: 1.5, max: 99}, {fieldtype: 'string', count: 3, min: '1.00', max: '9.99'}]},
+    {path: '', field: 'status', count: 8, documents: 8, pathinstances: 10, presence: 80, types: [{fieldtype: 'string', count: 8, min: 'active', max: 'new'}]},
+    {path: '', field: 'tags', count: 4, documents: 4, pathinstances: 10, presence: 40, types: [{fieldtype: 'array', count: 4}]},
+    {path: 'items', field: 'qty', count: 20, documents: 10, pathinstances: 20, presence: 100, types: [{fieldtype: 'int', count: 20, min: 0, max: 50}]},
+  ];
+
+  return {before, after};
+}
+
+
+/**
+ * TEST: diffSchemas
+ */
+function test_diffSchemas_1() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'legacy',
+      change: 'removed',
+      addedtypes: [],
+      removedtypes: [ 'string' ],
+      typeshifts: [],
+      rangechanges: [],
+      presenceshift: { before: 50, after: 0 }
+    },
+    {
+      path: '',
+      field: 'price',
+      change: 'changed',
+      addedtypes: [ 'string' ],
+      removedtypes: [],
+      typeshifts: [ { fieldtype: 'double', before: 100, after: 70 } ],
+      rangechanges: []
+    },
+    {
+      path: '',
+      field: 'status',
+      change: 'changed',
+      addedtypes: [],
+      removedtypes: [ 'null' ],
+      typeshifts: [ { fieldtype: 'string', before: 90, after: 100 } ],
+      rangechanges: [],
+      presenceshift: { before: 100, after: 80 }
+    },
+    {
+      path: '',
+      field: 'tags',
+      change: 'added',
+      addedtypes: [ 'array' ],
+      removedtypes: [],
+      typeshifts: [],
+      rangechanges: [],
+      presenceshift: { before: 0, after: 40 }
+    },
+    {
+      path: 'items',
+      field: 'qty',
+      change: 'changed',
+      addedtypes: [],
+      removedtypes: [],
+      typeshifts: [],
+      rangechanges: [ { fieldtype: 'int', before: { min: 1, max: 5 }, after: { min: 0, max: 50 } } ]
+    }
+  ];
+
+  const {before, after} = getTestSchemaSummariesToCompare();
+  const result = diffSchemas(before, after);
+  checkResultAndErrorIfDifferent(test_diffSchemas_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: buildSchemaDiffStages
+ * Requires MongoDB version 5.1+
+ */
+function test_buildSchemaDiffStages_1() {
+  const expectedResult = [
+    {
+      path: '',
+      field: 'legacy',
+      change: 'removed',
+      addedtypes: [],
+      removedtypes: [ 'string' ],
+      typeshifts: [],
+      rangechanges: [],
+      presenceshift: { before: 50, after: 0 }
+    },
+    {
+      path: '',
+      field: 'price',
+      change: 'changed',
+      addedtypes: [ 'string' ],
+      removedtypes: [],
+      typeshifts: [ { fieldtype: 'double', before: 100, after: 70 } ],
+      rangechanges: []
+    },
+    {
+      path: '',
+      field: 'status',
+      change: 'changed',
+      addedtypes: [],
+      removedtypes: [ 'null' ],
+      typeshifts: [ { fieldtype: 'string', before: 90, after: 100 } ],
+      rangechanges: [],
+      presenceshift: { before: 100, after: 80 }
+    },
+    {
+      path: '',
+      field: 'tags',
+      change: 'added',
+      addedtypes: [ 'array' ],
+      removedtypes: [],
+      typeshifts: [],
+      rangechanges: [],
+      presenceshift: { before: 0, after: 40 }
+    },
+    {
+      path: 'items',
+      field: 'qty',
+      change: 'changed',
+      addedtypes: [],
+      removedtypes: [],
+      typeshifts: [],
+      rangechanges: [ { fieldtype: 'int', before: { min: 1, max: 5 }, after: { min: 0, max: 50 } } ]
+    }
+  ];
+
+  const {before, after} = getTestSchemaSummariesToCompare();
+
+  const pipeline = [
+    {"$documents": [
+      ...before.map(fieldSummary => ({...fieldSummary, "side": "before"})),
+      ...after.map(fieldSummary => ({...fieldSummary, "side": "after"})),
     ]},
-    
-    {"$project": {
-      "_id": 0,
-      "recordList": buildArrayOfSchemaMetadataFields("$$ROOT", 1),
-    }},    
+
+    ...buildSchemaDiffStages(),
   ];
 
-  runAggPipelineAndErrorIfDifferent(test_buildArrayOfSchemaMetadataFields_1.name, pipeline, expectedResult);
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaDiffStages_1.name, pipeline, expectedResult);
 }
 
 
 /**
- * TEST: constructQueueMember
+ * TEST: buildSchemaConformanceStages
  * Requires MongoDB version 5.1+
- */ 
-function test_constructQueueMember_1() {
+ */
+function test_buildSchemaConformanceStages_1() {
   const expectedResult = [
     {
-      recordList: [
-        {
-          depth: 1,
-          index: '1_0',
-          subdocpath: 'b',
-          subdoc: { '<arrayitem>': 1 }
-        },
-        {
-          depth: 1,
-          index: '1_1',
-          subdocpath: 'b',
-          subdoc: { '<arrayitem>': 2 }
-        },
-        {
-          depth: 1,
-          index: '1_2',
-          subdocpath: 'c',
-          subdoc: { a: 1, b: 2, c: 3 }
-        },
-        { depth: 1, index: '1_3', subdocpath: 'd', subdoc: { z: 3 } },
-        {
-          depth: 1,
-          index: '1_4',
-          subdocpath: 'e',
-          subdoc: { p: [ { q: 1 }, { r: 2 } ] }
-        }
+      schemaviolations: [
+        { violation: 'unexpectedpath', path: '', field: 'e', fieldtype: 'array' },
+        { violation: 'unexpectedpath', path: 'c', field: 'c', fieldtype: 'int' },
+        { violation: 'unexpectedpath', path: 'd', field: 'y', fieldtype: 'int' },
+        { violation: 'unexpectedpath', path: 'd', field: 'z', fieldtype: 'int' }
       ]
     },
+    { schemaviolations: [] },
     {
-      recordList: [
-        {
-          depth: 1,
-          index: '1_0',
-          subdocpath: 'b',
-          subdoc: { '<arrayitem>': 3 }
-        },
-        { depth: 1, index: '1_1', subdocpath: 'd', subdoc: { x: 1 } },
-        { depth: 1, index: '1_2', subdocpath: 'd', subdoc: { y: 2 } }
+      schemaviolations: [
+        { violation: 'unexpectedtype', path: '', field: 'a', fieldtype: 'string' },
+        { violation: 'unexpectedpath', path: '', field: 'extra', fieldtype: 'object' },
+        { violation: 'raretype', path: 'b', field: '<arrayitem>', fieldtype: 'string' },
+        { violation: 'raretype', path: 'd', field: 'x', fieldtype: 'string' }
       ]
     }
-  ]
+  ];
+
+  const summary = summarizeSchemaFromDocuments(getTestDocuments().varied, {"stats": []});
 
   const pipeline = [
     {"$documents": [
-      {"children": [
-          { key: 'b', value: { '<arrayitem>': 1 } },
-          { key: 'b', value: { '<arrayitem>': 2 } },
-          { key: 'c', value: { a: 1, b: 2, c: 3 } },
-          { key: 'd', value: { z: 3 } },
-          {
-            key: 'e',
-            value: { p: [ { q: 1 }, { r: 2 } ] }
-          }
-      ]},
-      {"children": [
-          { key: 'b', value: { '<arrayitem>': 3 } },
-          { key: 'd', value: { x: 1 } },
-          { key: 'd', value: { y: 2 } },
-      ]},
+      ...getTestDocuments().nested,
+      {"a": "1", "b": ["x", "y"], "d": [{"x": "z"}], "extra": {"deep": 1}},
     ]},
 
-    {"$project": {
-      "_id": 0,
-      "recordList": constructQueueMember("$children", "1", "", 1)
-    }},    
+    ...buildSchemaConformanceStages(summary, {"rareTypeShare": 40}),
+
+    {"$project": {"_id": 0, "schemaviolations": 1}},
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaConformanceStages_1.name, pipeline, expectedResult);
+}
+
+/**
+ * TEST: watchSchemaDrift
+ * Requires a replica set (skipped otherwise)
+ */
+function test_watchSchemaDrift_1() {
+  const expectedResult = [
+    {
+      documentkey: { _id: 1 },
+      violations: [
+        { violation: 'unexpectedpath', path: '', field: 'e', fieldtype: 'array' },
+        { violation: 'unexpectedpath', path: 'c', field: 'c', fieldtype: 'int' },
+        { violation: 'unexpectedpath', path: 'd', field: 'y', fieldtype: 'int' },
+        { violation: 'unexpectedpath', path: 'd', field: 'z', fieldtype: 'int' }
+      ]
+    },
+    {
+      documentkey: { _id: 3 },
+      violations: [
+        { violation: 'unexpectedtype', path: '', field: 'a', fieldtype: 'string' },
+        { violation: 'unexpectedpath', path: '', field: 'extra', fieldtype: 'object' }
+      ]
+    }
+  ];
+
+  // Change streams need a replica set, so only skip the test against a standalone server if explicitly asked to
+  if (!db.hello().setName) {
+    if ((typeof process !== "undefined") && process.env.SKIP_CHANGE_STREAM_TESTS) {
+      print(`\nWARNING: SKIPPING ${test_watchSchemaDrift_1.name} as the deployment isn't a replica set\n`);
+      return;
+    }
+
+    throw `${test_watchSchemaDrift_1.name} - TEST FAILED as the deployment isn't a replica set (run the tests with START_REPLICA_SET=1, or set SKIP_CHANGE_STREAM_TESTS=1 to skip this test)`;
+  }
+
+  const collection = db.getCollection("test_watch_schema_drift");
+  collection.drop();
+  const baselineDocs = getTestDocuments().varied.map((doc, docNumber) => ({"_id": docNumber, ...doc}));
+  const summary = summarizeSchemaFromDocuments(baselineDocs, {"stats": []});
+  const startAtOperationTime = db.hello().operationTime;
+  collection.insertMany([
+    {"_id": 1, ...getTestDocuments().nested[0]},
+    {"_id": 2, ...getTestDocuments().nested[1]},
+    {"_id": 3, "a": "1", "b": ["x", "y"], "d": [{"x": "z"}], "extra": {"deep": 1}},
+  ]);
+
+  const result = [];
+  const onAlert = alert => result.push({"documentkey": alert.documentkey, "violations": alert.violations});
+  watchSchemaDrift(collection, summary, {onAlert, startAtOperationTime, "maxEvents": 3, "maxIdleMS": 10000});
+  collection.drop();
+  checkResultAndErrorIfDifferent(test_watchSchemaDrift_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: checkIndexesAgainstSchema
+ */
+function test_checkIndexesAgainstSchema_1() {
+  const expectedResult = {
+    indexkeys: [
+      {
+        index: '_id_',
+        key: '_id',
+        presence: 100,
+        types: [ 'objectId' ],
+        multikey: false,
+        issues: []
+      },
+      {
+        index: 'name_1_age_-1',
+        key: 'name',
+        presence: 100,
+        types: [ 'string' ],
+        multikey: false,
+        issues: []
+      },
+      {
+        index: 'name_1_age_-1',
+        key: 'age',
+        presence: 60,
+        types: [ 'int', 'null' ],
+        multikey: false,
+        issues: []
+      },
+      {
+        index: 'address.zip_1',
+        key: 'address.zip',
+        presence: 50,
+        types: [ 'string', 'int' ],
+        multikey: false,
+        issues: [ 'multitype' ]
+      },
+      {
+        index: 'tags_1_orders.qty_1',
+        key: 'tags',
+        presence: 80,
+        types: [ 'string' ],
+        multikey: true,
+        issues: [ 'multikey', 'parallelarrays' ]
+      },
+      {
+        index: 'tags_1_orders.qty_1',
+        key: 'orders.qty',
+        presence: 100,
+        types: [ 'int' ],
+        multikey: true,
+        issues: [ 'multikey', 'parallelarrays' ]
+      },
+      {
+        index: 'legacyCode_1',
+        key: 'legacyCode',
+        presence: 0,
+        types: [],
+        multikey: false,
+        issues: [ 'missing' ]
+      },
+      {
+        index: 'matrix_1',
+        key: 'matrix',
+        presence: 20,
+        types: [ 'array' ],
+        multikey: true,
+        issues: [ 'rare', 'multikey' ]
+      }
+    ],
+    unindexedfields: [
+      { field: 'address.city', presence: 100, types: [ 'string' ] },
+      { field: 'orders.sku', presence: 90, types: [ 'string' ] }
+    ]
+  };
+
+  const indexes = [
+    {v: 2, key: {_id: 1}, name: '_id_'},
+    {v: 2, key: {name: 1, age: -1}, name: 'name_1_age_-1'},
+    {v: 2, key: {'address.zip': 1}, name: 'address.zip_1'},
+    {v: 2, key: {tags: 1, 'orders.qty': 1}, name: 'tags_1_orders.qty_1'},
+    {v: 2, key: {legacyCode: 1}, name: 'legacyCode_1', sparse: true},
+    {v: 2, key: {matrix: 1}, name: 'matrix_1'},
   ];
 
-  runAggPipelineAndErrorIfDifferent(test_constructQueueMember_1.name, pipeline, expectedResult);  
+  const result = checkIndexesAgainstSchema(indexes, getTestSchemaSummary(), {"rarePresence": 25});
+  checkResultAndErrorIfDifferent(test_checkIndexesAgainstSchema_1.name, result, expectedResult);
 }
 
-
 /**
- * TEST: extractSchema
+ * TEST: buildSchemaHistoryPipeline
  * Requires MongoDB version 5.1+
- */ 
-function test_extractSchema_1() {
+ */
+function test_buildSchemaHistoryPipeline_1() {
   const expectedResult = [
     {
-      content: [
-        {
-          id: 0,
-          depth: 0,
-          index: '0',
-          subdocpath: '',
-          schema: [
-            { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
-            { fieldname: 'b', fieldvalue: '<array>', fieldtype: 'array' },
-            {
-              fieldname: 'c',
-              fieldvalue: '<object>',
-              fieldtype: 'object'
-            },
-            { fieldname: 'd', fieldvalue: '<array>', fieldtype: 'array' },
-            { fieldname: 'e', fieldvalue: '<array>', fieldtype: 'array' }
-          ]
-        },
-        {
-          id: 1,
-          depth: 1,
-          index: '0_0',
-          subdocpath: 'b',
-          schema: [
-            { fieldname: '<arrayitem>', fieldvalue: 1, fieldtype: 'int' }
-          ]
-        },
-        {
-          id: 2,
-          depth: 1,
-          index: '0_1',
-          subdocpath: 'b',
-          schema: [
-            { fieldname: '<arrayitem>', fieldvalue: 2, fieldtype: 'int' }
-          ]
-        },
-        {
-          id: 3,
-          depth: 1,
-          index: '0_2',
-          subdocpath: 'b',
-          schema: [
-            { fieldname: '<arrayitem>', fieldvalue: 3, fieldtype: 'int' }
-          ]
-        },
-        {
-          id: 4,
-          depth: 1,
-          index: '0_3',
-          subdocpath: 'c',
-          schema: [
-            { fieldname: 'a', fieldvalue: 1, fieldtype: 'int' },
-            { fieldname: 'b', fieldvalue: 2, fieldtype: 'int' },
-            { fieldname: 'c', fieldvalue: 3, fieldtype: 'int' }
-          ]
-        },
-        {
-          id: 5,
-          depth: 1,
-          index: '0_4',
-          subdocpath: 'd',
-          schema: [ { fieldname: 'x', fieldvalue: 1, fieldtype: 'int' } ]
-        },
-        {
-          id: 6,
-          depth: 1,
-          index: '0_5',
-          subdocpath: 'd',
-          schema: [ { fieldname: 'y', fieldvalue: 2, fieldtype: 'int' } ]
-        },
-        {
-          id: 7,
-          depth: 1,
-          index: '0_6',
-          subdocpath: 'd',
-          schema: [ { fieldname: 'z', fieldvalue: 3, fieldtype: 'int' } ]
-        },
+      source: 'orders',
+      path: '',
+      field: 'price',
+      firstseen: new Date('2024-03-01T00:00:00.000Z'),
+      lastseen: new Date('2024-03-02T00:00:00.000Z'),
+      runs: [
         {
-          id: 8,
-          depth: 1,
-          index: '0_7',
-          subdocpath: 'e',
-          schema: [
-            { fieldname: 'p', fieldvalue: '<array>', fieldtype: 'array' }
-          ]
+          runat: new Date('2024-03-01T00:00:00.000Z'),
+          present: true,
+          presence: 100,
+          types: [ { fieldtype: 'double', share: 100 } ],
+          addedtypes: [ 'double' ],
+          removedtypes: [],
+          presencechange: 100
         },
         {
-          id: 9,
-          depth: 2,
-          index: '0_7_0',
-          subdocpath: 'e.p',
-          schema: [ { fieldname: 'q', fieldvalue: 1, fieldtype: 'int' } ]
+          runat: new Date('2024-03-02T00:00:00.000Z'),
+          present: true,
+          presence: 100,
+          types: [ { fieldtype: 'double', share: 70 }, { fieldtype: 'string', share: 30 } ],
+          addedtypes: [ 'string' ],
+          removedtypes: [],
+          presencechange: 0
         },
         {
-          id: 10,
-          depth: 2,
-          index: '0_7_1',
-          subdocpath: 'e.p',
-          schema: [ { fieldname: 'r', fieldvalue: 2, fieldtype: 'int' } ]
-        }
-      ],
-      objectsToProcessQueue: []
-    },
-    {
-      content: [
-        {
-          id: 0,
-          depth: 0,
-          index: '0',
-          subdocpath: '',
-          schema: [ { fieldname: 'other', fieldvalue: true, fieldtype: 'bool' } ]
+          runat: new Date('2024-03-03T00:00:00.000Z'),
+          present: false,
+          presence: 0,
+          types: [],
+          addedtypes: [],
+          removedtypes: [ 'double', 'string' ],
+          presencechange: -100
         }
-      ],
-      objectsToProcessQueue: []
+      ]
     }
   ];
 
+  const {before, after} = getTestSchemaSummariesToCompare();
+  const runs = [
+    {"runat": new Date("2024-03-01T00:00:00Z"), "summary": before},
+    {"runat": new Date("2024-03-02T00:00:00Z"), "summary": after},
+    {"runat": new Date("2024-03-03T00:00:00Z"), "summary": before.filter(fieldSummary => fieldSummary.field !== "price")},
+  ];
+
   const pipeline = [
     {"$documents": [
+      ...runs.flatMap(({runat, summary}) => summary.map(fieldSummary => ({...fieldSummary, "source": "orders", runat}))),
+      // Neither the summaries of other collections, nor of variants or truncated documents, are part of the history
+      {...after[1], "source": "products", "runat": runs[0].runat},
+      {...after[1], "variant": {"type": "gift"}, "source": "orders", "runat": runs[0].runat},
+      {"WARNING": getMaxElementsWarningMessage(), "truncateddocuments": 1, "suggestedmaxelements": 600, "source": "orders", "runat": runs[0].runat},
+    ]},
+
+    ...buildSchemaHistoryPipeline("orders", "price"),
+  ];
+
+  runAggPipelineAndErrorIfDifferent(test_buildSchemaHistoryPipeline_1.name, pipeline, expectedResult);
+}
+
+/**
+ * TEST: buildSharedFieldIndex
+ */
+function test_buildSharedFieldIndex_1() {
+  const expectedResult = [
+    {
+      field: '_id',
+      fieldtype: 'objectId',
+      collectioncount: 3,
+      collections: [
+        { name: 'customers', paths: [ '_id' ] },
+        { name: 'orders', paths: [ '_id' ] },
+        { name: 'products', paths: [ '_id' ] }
+      ]
+    },
+    {
+      field: 'qty',
+      fieldtype: 'int',
+      collectioncount: 3,
+      collections: [
+        { name: 'customers', paths: [ 'orders.qty' ] },
+        { name: 'orders', paths: [ 'items.qty' ] },
+        { name: 'products', paths: [ 'items.qty' ] }
+      ]
+    },
+    {
+      field: 'price',
+      fieldtype: 'double',
+      collectioncount: 2,
+      collections: [ { name: 'orders', paths: [ 'price' ] }, { name: 'products', paths: [ 'price' ] } ]
+    },
+    {
+      field: 'status',
+      fieldtype: 'string',
+      collectioncount: 2,
+      collections: [ { name: 'orders', paths: [ 'status' ] }, { name: 'products', paths: [ 'status' ] } ]
+    },
+    {
+      field: 'tags',
+      fieldtype: 'array',
+      collectioncount: 2,
+      collections: [ { name: 'customers', paths: [ 'tags' ] }, { name: 'products', paths: [ 'tags' ] } ]
+    }
+  ];
+
+  const {before, after} = getTestSchemaSummariesToCompare();
+  const collectionReports = [
+    {"name": "customers", "summary": getTestSchemaSummary()},
+    {"name": "orders", "summary": before},
+    {"name": "products", "summary": after},
+  ];
+
+  const result = buildSharedFieldIndex(collectionReports, 2);
+  checkResultAndErrorIfDifferent(test_buildSharedFieldIndex_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: analyzeDatabaseSchemas
+ * Requires MongoDB version 5.1+
+ */
+function test_analyzeDatabaseSchemas_1() {
+  const expectedResult = {
+    database: 'test_analyze_database_schemas',
+    collections: [
       {
-        "a": 1,
-        "b": [1,2,3],
-        "c": {"a": 1, "b": 2, "c": 3},
-        "d": [{"x": 1}, {"y": 2}, {"z": 3}],
-        "e": [{"p": [{"q": 1}, {"r": 2}]}],
+        name: 'customer_names',
+        type: 'view',
+        documents: 2,
+        avgdocumentsize: 19,
+        summary: [
+          {
+            path: '',
+            field: 'name',
+            count: 2,
+            documents: 2,
+            pathinstances: 2,
+            presence: 100,
+            types: [ { fieldtype: 'string', count: 2 } ]
+          }
+        ]
       },
+      { name: 'customer_numbers', type: 'view', error: true },
       {
-        "other": true,
+        name: 'customers',
+        type: 'collection',
+        documents: 2,
+        avgdocumentsize: 45,
+        summary: [
+          {
+            path: '',
+            field: '_id',
+            count: 2,
+            documents: 2,
+            pathinstances: 2,
+            presence: 100,
+            types: [ { fieldtype: 'string', count: 2 } ]
+          },
+          {
+            path: '',
+            field: 'email',
+            count: 1,
+            documents: 1,
+            pathinstances: 2,
+            presence: 50,
+            types: [ { fieldtype: 'string', count: 1 } ]
+          },
+          {
+            path: '',
+            field: 'name',
+            count: 2,
+            documents: 2,
+            pathinstances: 2,
+            presence: 100,
+            types: [ { fieldtype: 'string', count: 2 } ]
+          }
+        ]
       },
-    ]},
+      {
+        name: 'orders',
+        type: 'collection',
+        documents: 3,
+        avgdocumentsize: 47,
+        summary: [
+          {
+            path: '',
+            field: '_id',
+            count: 1,
+            documents: 1,
+            pathinstances: 1,
+            presence: 100,
+            types: [ { fieldtype: 'string', count: 1 } ]
+          },
+          {
+            path: '',
+            field: 'customerid',
+            count: 1,
+            documents: 1,
+            pathinstances: 1,
+            presence: 100,
+            types: [ { fieldtype: 'string', count: 1 } ]
+          },
+          {
+            path: '',
+            field: 'total',
+            count: 1,
+            documents: 1,
+            pathinstances: 1,
+            presence: 100,
+            types: [ { fieldtype: 'int', count: 1 } ]
+          }
+        ]
+      }
+    ],
+    sharedfields: [
+      {
+        field: '_id',
+        fieldtype: 'string',
+        collectioncount: 2,
+        collections: [ { name: 'customers', paths: [ '_id' ] }, { name: 'orders', paths: [ '_id' ] } ]
+      },
+      {
+        field: 'name',
+        fieldtype: 'string',
+        collectioncount: 2,
+        collections: [
+          { name: 'customer_names', paths: [ 'name' ] },
+          { name: 'customers', paths: [ 'name' ] }
+        ]
+      }
+    ]
+  };
 
-    {"$replaceWith": 
-      extractSchema()
+  const testDb = db.getSiblingDB("test_analyze_database_schemas");
+  testDb.dropDatabase();
+  testDb.getCollection("customers").insertMany([
+    {"_id": "C1", "name": "Ann"},
+    {"_id": "C2", "name": "Bob", "email": "bob@example.org"},
+  ]);
+  testDb.getCollection("orders").insertMany([
+    {"_id": "O1", "customerid": "C1", "total": 10},
+    {"_id": "O2", "customerid": "C2", "total": 20},
+    {"_id": "O3", "customerid": "C1", "total": 30},
+  ]);
+  testDb.getCollection("tmp_import").insertMany([{"_id": "T1", "name": "Cy"}]);
+  testDb.createView("customer_names", "customers", [{"$project": {"_id": 0, "name": 1}}]);
+  testDb.createView("customer_numbers", "customers", [{"$project": {"number": {"$toInt": "$_id"}}}]);
+  testDb.createCollection("readings", {"timeseries": {"timeField": "ts"}});
+
+  // Views are analysed but not time-series or 'system.*' collections (e.g. 'system.views'), while
+  // 'orders' is only sampled once and analysing 'customer_numbers' fails on its non-numeric ids
+  const report = analyzeDatabaseSchemas(testDb, {
+    "includeViews": true,
+    "excludeCollections": ["tmp_*"],
+    "sampleSize": null,
+    "sampleSizes": {"orders": 1},
+    "stats": [],
+  });
+  testDb.dropDatabase();
+
+  // The wording of the error varies between server versions, so only check it names the failing id
+  const result = {...report, "collections": report.collections.map(collectionReport => ("error" in collectionReport)
+    ? {...collectionReport, "error": collectionReport.error.includes("C1")}
+    : collectionReport
+  )};
+  checkResultAndErrorIfDifferent(test_analyzeDatabaseSchemas_1.name, result, expectedResult);
+}
+
+
+/**
+ * TEST: inferCollectionReferences
+ * Requires MongoDB version 5.1+
+ */
+function test_inferCollectionReferences_1() {
+  const expectedResult = [
+    {
+      source: 'test_refs_customers',
+      field: 'referredby',
+      target: 'test_refs_customers',
+      fieldtypes: [ 'string' ],
+      cardinality: 'one-to-one',
+      sampledvalues: 1,
+      matchedvalues: 1,
+      matchratio: 100
+    },
+    {
+      source: 'test_refs_orders',
+      field: 'customerid',
+      target: 'test_refs_customers',
+      fieldtypes: [ 'string' ],
+      cardinality: 'one-to-one',
+      sampledvalues: 3,
+      matchedvalues: 2,
+      matchratio: 66.67
+    },
+    {
+      source: 'test_refs_orders',
+      field: 'lines.productid',
+      target: 'test_refs_products',
+      fieldtypes: [ 'int' ],
+      cardinality: 'one-to-many',
+      sampledvalues: 3,
+      matchedvalues: 2,
+      matchratio: 66.67
     },
+    {
+      source: 'test_refs_orders',
+      field: 'productids',
+      target: 'test_refs_products',
+      fieldtypes: [ 'int' ],
+      cardinality: 'one-to-many',
+      sampledvalues: 3,
+      matchedvalues: 3,
+      matchratio: 100
+    }
+  ];
+
+  const testDocs = {
+    "test_refs_customers": [
+      {"_id": "C1", "name": "Ann"},
+      {"_id": "C2", "name": "Bob"},
+      {"_id": "C3", "name": "Cy", "referredby": "C1"},
+    ],
+    "test_refs_orders": [
+      {"_id": 101, "customerid": "C1", "productids": [1, 2], "lines": [{"productid": 1, "qty": 5}], "status": "paid"},
+      {"_id": 102, "customerid": "C2", "productids": [3], "lines": [{"productid": 3, "qty": 10}, {"productid": 9, "qty": 5}], "status": "new"},
+      {"_id": 103, "customerid": "C9", "productids": [2], "lines": [], "status": "paid"},
+    ],
+    "test_refs_products": [
+      {"_id": 1, "sku": "P-1"},
+      {"_id": 2, "sku": "P-2"},
+      {"_id": 3, "sku": "P-3"},
+    ],
+  };
+  const collectionReports = Object.entries(testDocs).map(([name, docs]) => {
+    const collection = db.getCollection(name);
+    collection.drop();
+    collection.insertMany(docs);
+    return {name, "summary": collection.aggregate(buildSchemaAnalysisPipeline({"sampleSize": null, "stats": []})).toArray()};
+  });
+
+  const result = inferCollectionReferences(db, {"collections": collectionReports}, {"sampleSize": null});
+  Object.keys(testDocs).forEach(name => db.getCollection(name).drop());
+  checkResultAndErrorIfDifferent(test_inferCollectionReferences_1.name, result, expectedResult);
+}
+
+
+/**
+ * Get the combinations of the options which change how documents are traversed, to check the
+ * client-side functions against the aggregation for each
+ */
+function getTestExtractOptions() {
+  return [
+    {},
+    // Detect map-like sub-documents both by pattern and by size
+    {"dynamicKeys": {"minKeys": 3, "maxValues": 1}},
+    {"excludePaths": ["d", "*.p"], "maxDepth": 2},
+    {"includePaths": ["e.p", "daily.*"]},
+  ];
+}
+
+
+/**
+ * TEST: extractSchemaFromDocuments (compared with the result of extractSchema())
+ * Requires MongoDB version 5.1+
+ */
+function test_extractSchemaFromDocuments_1() {
+  for (const [fixtureName, docs] of Object.entries(getTestDocuments())) {
+    // Also use a low 'maxElements' to check that documents which can't be fully traversed are handled the same way
+    for (const maxElements of [500, 3]) {
+      // Also check the options which change the traversal have the same effect
+      for (const extractOptions of getTestExtractOptions()) {
+        const expectedResult = db.aggregate([{"$documents": docs}, {"$replaceWith": extractSchema(maxElements, extractOptions)}]).toArray();
+        const result = extractSchemaFromDocuments(docs, {maxElements, ...extractOptions});
+        checkResultAndErrorIfDifferent(`${test_extractSchemaFromDocuments_1.name} (${fixtureName}, maxElements ${maxElements}, options ${JSON.stringify(extractOptions)})`, result, expectedResult);
+      }
+    }
+  }
+}
+
+
+/**
+ * TEST: summarizeSchemaFromDocuments (compared with the result of buildSchemaAnalysisPipeline())
+ * Requires MongoDB version 5.1+
+ */
+function test_summarizeSchemaFromDocuments_1() {
+  const statsOptions = {"stats": Object.keys(getSchemaSummaryStats()), "maxTopValues": 2, "maxEnumValues": 1, "stringPatterns": {"sku": /^[A-Z]{3}-[0-9]+$/}, "discriminators": ["type"]};
+
+  for (const [fixtureName, docs] of Object.entries(getTestDocuments())) {
+    for (const maxElements of [500, 3]) {
+      for (const extractOptions of getTestExtractOptions()) {
+        // The aggregation doesn't define the order of the sampled keys of a '<dynamickey>' field, so sort them as the client-side version does
+        const expectedResult = db.aggregate([{"$documents": docs}, ...buildSchemaAnalysisPipeline({"sampleSize": null, maxElements, ...statsOptions, ...extractOptions})]).toArray()
+          .map(field => field.samplekeys ? {...field, "samplekeys": [...field.samplekeys].sort(compareStrings)} : field);
+        const result = summarizeSchemaFromDocuments(docs, {maxElements, ...statsOptions, ...extractOptions});
+        checkResultAndErrorIfDifferent(`${test_summarizeSchemaFromDocuments_1.name} (${fixtureName}, maxElements ${maxElements}, options ${JSON.stringify(extractOptions)})`, result, expectedResult);
+      }
+    }
+  }
+}
+
+
+/**
+ * TEST: summarizeSchemaFromDocuments (flagging personal data, compared with the result of buildSchemaAnalysisPipeline())
+ * Requires MongoDB version 5.1+
+ */
+function test_summarizeSchemaFromDocuments_2() {
+  const statsOptions = {"stats": ["min", "max", "topvalues"], "maxTopValues": 2, "discriminators": ["type"]};
+
+  for (const fixtureName of ["personal", "legacy", "varied"]) {
+    for (const sensitiveData of [true, {"redact": true}, {"redact": true, "minConfidence": 100}]) {
+      const docs = getTestDocuments()[fixtureName];
+      const expectedResult = db.aggregate([{"$documents": docs}, ...buildSchemaAnalysisPipeline({"sampleSize": null, ...statsOptions, sensitiveData})]).toArray();
+      const result = summarizeSchemaFromDocuments(docs, {...statsOptions, sensitiveData});
+      checkResultAndErrorIfDifferent(`${test_summarizeSchemaFromDocuments_2.name} (${fixtureName}, sensitiveData ${JSON.stringify(sensitiveData)})`, result, expectedResult);
+    }
+  }
+}
+
+
+/**
+ * TEST: parseEjsonDocuments & getBsonTypeName
+ */
+function test_parseEjsonDocuments_1() {
+  const expectedResult = [
+    2,
+    2,
+    ["objectId", "date", "long", "double", "decimal", "binData", "string", "int", "object"],
   ];
 
-  runAggPipelineAndErrorIfDifferent(test_extractSchema_1.name, pipeline, expectedResult);    
+  const doc = {
+    "_id": {"$oid": "62ab8bae760c0de490851e89"},
+    "created": {"$date": "2022-06-01T10:00:00Z"},
+    "views": {"$numberLong": "12345678901"},
+    "ratio": {"$numberDouble": "0.5"},
+    "price": {"$numberDecimal": "9.99"},
+    "thumbnail": {"$binary": {"base64": "AAEC", "subType": "00"}},
+    "name": "widget",
+    "qty": 3,
+    "dims": {"w": 1, "h": 2},
+  };
+
+  const arrayText = JSON.stringify([doc, doc]);
+  const linesText = `${JSON.stringify(doc)}\n\n${JSON.stringify(doc)}\n`;
+  const result = [
+    parseEjsonDocuments(arrayText).length,
+    parseEjsonDocuments(linesText).length,
+    Object.values(parseEjsonDocuments(linesText)[0]).map(getBsonTypeName),
+  ];
+  checkResultAndErrorIfDifferent(test_parseEjsonDocuments_1.name, result, expectedResult);
 }
 
 
@@ -641,8 +7871,103 @@ function test_extractSchema_1() {
  */ 
 function runAllTests() {
   test_getNestedChildrenOfSubdoc_1();
-  test_buildArrayOfSchemaMetadataFields_1();
-  test_constructQueueMember_1();
-  test_extractSchema_1();
+
+  // Run the tests for the schema traversal both with and without the use of $getField
+  for (const serverVersion of ["5.0", "4.4"]) {
+    test_buildArrayOfSchemaMetadataFields_1(serverVersion);
+    test_constructQueueMember_1(serverVersion);
+    test_extractSchema_1(serverVersion);
+    test_buildSchemaAnalysisPipeline_1(serverVersion);
+  }
+
+  test_extractSchema_2();
+  test_extractSchema_3();
+  test_extractSchema_4();
+  test_extractSchema_5();
+  test_buildSchemaSummaryStages_1();
+  test_buildSchemaAnalysisPipeline_2();
+  test_buildSchemaAnalysisPipeline_3();
+  test_buildSchemaAnalysisPipeline_4();
+  test_buildSchemaAnalysisPipeline_5();
+  test_buildSchemaAnalysisPipeline_6();
+  test_buildSchemaAnalysisPipeline_7();
+  test_buildSchemaAnalysisPipeline_8();
+  test_buildSchemaAnalysisPipeline_9();
+  test_buildDiscriminatorCandidatesPipeline_1();
+  test_generateJsonSchemaValidator_1();
+  test_generateJsonSchemaValidator_2();
+  test_generateJsonSchemaValidator_3();
+  test_generateTypeScriptInterfaces_1();
+  test_generateTypeScriptInterfaces_2();
+  test_generateMongooseSchema_1();
+  test_generateMongooseSchema_2();
+  test_generateMongooseSchema_3();
+  test_formatSchemaSummaryAsCsv_1();
+  test_formatSchemaSummaryAsMarkdown_1();
+  test_formatSchemaSummaryAsMermaid_1();
+  test_formatSchemaSummaryAsDot_1();
+  test_formatSchemaSummaryAsHtml_1();
+  test_listSensitiveFields_1();
+  test_listSensitiveFields_2();
+  test_listSensitiveFields_3();
+  test_diffSchemas_1();
+  test_buildSchemaDiffStages_1();
+  test_buildSchemaHistoryPipeline_1();
+  test_buildSchemaConformanceStages_1();
+  test_watchSchemaDrift_1();
+  test_checkIndexesAgainstSchema_1();
+  test_buildSharedFieldIndex_1();
+  test_analyzeDatabaseSchemas_1();
+  test_inferCollectionReferences_1();
+  test_extractSchemaFromDocuments_1();
+  test_summarizeSchemaFromDocuments_1();
+  test_summarizeSchemaFromDocuments_2();
+  test_parseEjsonDocuments_1();
+}
+
+
+// When run directly by Node.js, summarise the EJSON documents in the file named on the command line (or piped to stdin)
+if ((typeof module !== "undefined") && (typeof require !== "undefined") && (require.main === module)) {
+  const inputStream = process.argv[2] ? require("fs").createReadStream(process.argv[2]) : process.stdin;
+
+  summarizeSchemaFromEjsonStream(inputStream)
+    .then(summary => console.log(JSON.stringify(summary, null, 2)))
+    .catch(error => {
+      console.error(`ERROR: ${error}`);
+      process.exitCode = 1;
+    });
+}
+
+
+// Also allow the functions to be used as a Node.js module (e.g. via require("./mongo-agg-extract-schema.js"))
+if ((typeof module !== "undefined") && module.exports) {
+  module.exports = {
+    extractSchema,
+    buildSchemaAnalysisPipeline,
+    buildDiscriminatorCandidatesPipeline,
+    buildSchemaSummaryStages,
+    generateJsonSchemaValidator,
+    generateTypeScriptInterfaces,
+    generateMongooseSchema,
+    formatSchemaSummaryAsCsv,
+    formatSchemaSummaryAsMarkdown,
+    formatSchemaSummaryAsMermaid,
+    formatSchemaSummaryAsDot,
+    formatSchemaSummaryAsHtml,
+    listSensitiveFields,
+    diffSchemas,
+    buildSchemaDiffPipeline,
+    buildSchemaHistoryPipeline,
+    buildSchemaConformanceStages,
+    watchSchemaDrift,
+    checkIndexesAgainstSchema,
+    analyzeDatabaseSchemas,
+    inferCollectionReferences,
+    extractSchemaFromDocuments,
+    summarizeSchemaFromDocuments,
+    parseEjsonDocuments,
+    summarizeSchemaFromEjsonStream,
+    getBsonTypeName,
+  };
 }
 